@@ -1,115 +1,600 @@
 /**
- * Global variable to hold the instance of the IndexedDB database.
- * This variable is used to maintain a single instance of the database
- * throughout the lifecycle of the application, ensuring efficient
- * access to the database without the need to repeatedly open connections.
- */
-let db;
-
-/**
- * Opens the IndexedDB database or initializes it if it doesn't exist.
- * If the database connection is already open, resolves immediately with the existing db instance.
- * If the database needs to be upgraded, creates necessary object stores.
- *
- * @returns {Promise<IDBDatabase>} A promise that resolves with the database instance.
- * @rejects {string} If there is an error opening the database.
- */
-const openDatabase = () => {
-  return new Promise((resolve, reject) => {
-    if (db) {
-      resolve(db);
-      return;
-    }
-
-    const request = indexedDB.open("channelGuardDB", 2);
-
-    request.onupgradeneeded = (event) => {
-      db = event.target.result;
-
-      // Create object store for blocked authors
-      if (!db.objectStoreNames.contains("blockedAuthors")) {
-        db.createObjectStore("blockedAuthors", {
-          keyPath: "id",
-          autoIncrement: true,
-        });
-      }
-
-      // Create object store for settings (including PIN)
-      if (!db.objectStoreNames.contains("settings")) {
-        db.createObjectStore("settings", { keyPath: "id" });
-      }
-    };
-
-    request.onsuccess = (event) => {
-      db = event.target.result;
-      resolve(db);
-    };
-
-    request.onerror = (event) => {
-      reject("IndexedDB error:", event.target.error);
-    };
-  });
+ * The background service worker owns the "channelGuardDB" database: the popup and the
+ * content scripts read and write it through the versioned message API of dataService.js,
+ * using the client in dataClient.js.
+ */
+import {
+  authorExists,
+  addAuthor,
+  getAuthors,
+  updateAuthor,
+  deleteAuthors,
+  getLists,
+  getTitleRules,
+  getAllowedAuthors,
+  getSetting,
+  recordHiddenItems,
+  pruneStats,
+  setBlockListChangedHandler,
+  isPINSet,
+  identifyPIN,
+  addUnblockRequest,
+} from "./modules/indexedDBService.js";
+import {
+  ADMIN,
+  DATA_ACTIONS,
+  createMessageHandler,
+} from "./modules/dataService.js";
+import { REMOVAL_UNDO_DELAY } from "./modules/authorList.js";
+import { ERROR_CODES, createError } from "./modules/messageProtocol.js";
+import { isScheduleActive, nextScheduleChange } from "./modules/schedule.js";
+import {
+  COMMENT_HIDE_STYLE_SETTING,
+  COMMENT_HIDE_STYLES,
+  FILTER_MODE_SETTING,
+  FILTER_MODES,
+  HIDE_STYLE_SETTING,
+  HIDE_STYLES,
+  SURFACES_SETTING,
+} from "./modules/surfaces.js";
+import {
+  STATS_RETENTION_CHOICES,
+  STATS_RETENTION_SETTING,
+  oldestKeptDay,
+  toDayKey,
+} from "./modules/stats.js";
+import {
+  LOCK_TIMEOUT_CHOICES,
+  LOCK_TIMEOUT_SETTING,
+} from "./modules/session.js";
+
+/**
+ * The name of the alarm that fires when a scheduled blocking window starts or ends.
+ */
+const SCHEDULE_ALARM = "scheduleBoundary";
+
+/**
+ * The name of the alarm that fires when the next temporary block expires.
+ */
+const EXPIRY_ALARM = "blockExpiry";
+
+/**
+ * Retrieves the blocked authors that are currently applied: those that have not expired,
+ * whose own schedule (if any) is active and that belong to at least one enabled block
+ * list whose schedule (if any) is active.
+ *
+ * @param {Date} [date=new Date()] - The point in time to evaluate the schedules at.
+ * @returns {Promise<Array<Object>>} A promise that resolves to the active author records.
+ */
+const getActiveAuthors = async (date = new Date()) => {
+  const [authors, lists] = await Promise.all([getAuthors(), getLists()]);
+  const activeListIds = new Set(
+    lists
+      .filter((list) => list.enabled && isScheduleActive(list.schedule, date))
+      .map((list) => list.id)
+  );
+  return authors.filter(
+    (author) =>
+      !(author.expiresAt <= date.getTime()) &&
+      isScheduleActive(author.schedule, date) &&
+      (author.listIds || []).some((listId) => activeListIds.has(listId))
+  );
+};
+
+/**
+ * Collects the settings the content script needs besides the block list, e.g. which
+ * surfaces are filtered and how hidden items look. `filterMode` tells whether the block
+ * list or the allow-list applies, `pinProtected` whether showing a hidden item requires
+ * the PIN.
+ *
+ * @returns {Promise<Object>} A promise that resolves to
+ *          `{ surfaces, hideStyle, commentHideStyle, filterMode, pinProtected }`.
+ */
+const getContentSettings = async () => {
+  const [surfaces, hideStyle, commentHideStyle, filterMode, pinProtected] =
+    await Promise.all([
+      getSetting(SURFACES_SETTING, {}),
+      getSetting(HIDE_STYLE_SETTING, HIDE_STYLES[0].id),
+      getSetting(COMMENT_HIDE_STYLE_SETTING, COMMENT_HIDE_STYLES[0].id),
+      getSetting(FILTER_MODE_SETTING, FILTER_MODES[0].id),
+      isPINSet(),
+    ]);
+  return { surfaces, hideStyle, commentHideStyle, filterMode, pinProtected };
+};
+
+/**
+ * Sets an alarm for the next time a scheduled window of an author or a list starts or
+ * ends, so open tabs can be updated right then. Alarms survive the service worker being
+ * suspended; any previous alarm is replaced.
+ *
+ * @returns {Promise<void>} A promise that resolves once the alarm has been set or cleared.
+ */
+const scheduleNextCheck = async () => {
+  const [authors, lists] = await Promise.all([getAuthors(), getLists()]);
+  const schedules = [...authors, ...lists]
+    .map((entry) => entry.schedule)
+    .filter(Boolean);
+
+  await chrome.alarms.clear(SCHEDULE_ALARM);
+  const next = nextScheduleChange(schedules);
+  if (next) {
+    // Fire just after the boundary so the new window is already in effect
+    chrome.alarms.create(SCHEDULE_ALARM, { when: next.getTime() + 1000 });
+  }
+};
+
+/**
+ * Sends the current block list (active authors and title rules), the approved channels
+ * and the content settings to every open YouTube tab so
+ * the content scripts can hide newly blocked items and restore items that are no
+ * longer blocked.
+ *
+ * @returns {Promise<void>} A promise that resolves once the message has been sent to all tabs.
+ */
+const broadcastBlockListChanged = async () => {
+  const [authors, titleRules, allowedAuthors, settings] = await Promise.all([
+    getActiveAuthors(),
+    getTitleRules(),
+    getAllowedAuthors(),
+    getContentSettings(),
+  ]);
+  const tabs = await chrome.tabs.query({ url: "*://www.youtube.com/*" });
+
+  await Promise.all(
+    tabs.map((tab) =>
+      chrome.tabs
+        .sendMessage(tab.id, {
+          action: "blockListChanged",
+          authors,
+          titleRules,
+          allowedAuthors,
+          settings,
+        })
+        // Tabs opened before the extension was loaded have no content script
+        .catch(() => {})
+    )
+  );
 };
+
 /**
- * Asynchronously retrieves all author records from the "blockedAuthors" object store
- * in the IndexedDB. This function opens a readonly transaction on the "blockedAuthors"
- * object store and uses the `getAll` method to fetch all records.
+ * Removes temporary blocks whose expiry has passed and sets an alarm for the next one.
+ * Alarms persist across browser restarts, and this also runs on startup, so blocks
+ * that expired while the browser was closed are removed as well. The removals are
+ * broadcast to the open tabs in one go, which show the channels' content again.
  *
- * @returns {Promise<Array<Object>>} A promise that resolves to an array of author objects
- * when the retrieval is successful. Each author object contains details of an author
- * stored in the database. The promise is rejected if an error occurs during the retrieval
- * process.
+ * @returns {Promise<void>} A promise that resolves once expired blocks have been removed.
  */
-const getAuthors = async () => {
-  // Open the database and access the "blockedAuthors" object store for readonly operations
-  const db = await openDatabase();
-  const transaction = db.transaction(["blockedAuthors"], "readonly");
-  const store = transaction.objectStore("blockedAuthors");
+const removeExpiredAuthors = async () => {
+  const now = Date.now();
+  const authors = await getAuthors();
+  const expired = authors.filter((author) => author.expiresAt <= now);
+  if (expired.length) {
+    await deleteAuthors(
+      expired.map((author) => author.id),
+      "expiry"
+    );
+  }
 
-  // Attempt to retrieve all author records from the database
-  return new Promise((resolve, reject) => {
-    const request = store.getAll(); // Use the getAll method to fetch all records
-    request.onsuccess = () => resolve(request.result); // Resolve the promise with the retrieved records
-    request.onerror = () => reject(request.error); // Reject the promise if an error occurs
+  const upcoming = authors
+    .filter((author) => author.expiresAt > now)
+    .map((author) => author.expiresAt);
+  await chrome.alarms.clear(EXPIRY_ALARM);
+  if (upcoming.length) {
+    chrome.alarms.create(EXPIRY_ALARM, { when: Math.min(...upcoming) });
+  }
+};
+
+/**
+ * Broadcasts the block list, re-arms the schedule alarm and removes expired temporary
+ * blocks. Called after every change to the block list and whenever a scheduled window
+ * starts or ends.
+ */
+const refreshBlockList = () => {
+  broadcastBlockListChanged().catch((error) =>
+    console.error("Error broadcasting block list change:", error)
+  );
+  scheduleNextCheck().catch((error) =>
+    console.error("Error scheduling the next block list check:", error)
+  );
+  removeExpiredAuthors().catch((error) =>
+    console.error("Error removing expired blocks:", error)
+  );
+};
+
+// Every write goes through this service worker, which broadcasts it to the open tabs.
+setBlockListChangedHandler(refreshBlockList);
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    refreshBlockList();
+  }
+  if (alarm.name === EXPIRY_ALARM) {
+    // Deleting the expired entries triggers the broadcast to the open tabs
+    removeExpiredAuthors().catch((error) =>
+      console.error("Error removing expired blocks:", error)
+    );
+  }
+});
+
+// Re-arm the alarms when the browser starts or the extension is updated.
+chrome.runtime.onStartup.addListener(refreshBlockList);
+chrome.runtime.onInstalled.addListener(refreshBlockList);
+
+/**
+ * The day statistics were last pruned by this service worker, so pruning runs at most
+ * once a day however many hidden items are reported.
+ */
+let lastStatsPruneDay = null;
+
+/**
+ * Deletes statistics older than the retention period chosen in the popup.
+ *
+ * @returns {Promise<void>} A promise that resolves once older statistics are deleted.
+ */
+const pruneOldStats = async () => {
+  lastStatsPruneDay = toDayKey();
+  const retentionDays = await getSetting(
+    STATS_RETENTION_SETTING,
+    STATS_RETENTION_CHOICES[0].id
+  );
+  await pruneStats(oldestKeptDay(Number(retentionDays)));
+};
+
+/**
+ * Counts the hidden items reported by a content script in today's statistics, pruning
+ * expired statistics first if that hasn't happened yet today.
+ *
+ * @param {Array<Object>} items - The hidden items, see `recordHiddenItems`.
+ * @returns {Promise<number>} A promise that resolves to the number of newly counted items.
+ */
+const recordHiddenItemsToday = async (items) => {
+  if (lastStatsPruneDay !== toDayKey()) {
+    await pruneOldStats();
+  }
+  return recordHiddenItems(items, toDayKey());
+};
+
+/**
+ * Upgrades an author record with the stable identifiers the content script resolved
+ * from a matching video tile: a name-only record gets both, a record added by its
+ * channel ID or @handle gets the one it is missing. Identifiers already stored on the
+ * record are never overwritten, so a record cannot be re-pointed at a different
+ * channel by a later name collision.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the author record.
+ * @param {{channelId?: string, handle?: string}} identifiers - The resolved identifiers.
+ * @returns {Promise<Object | undefined>} A promise that resolves to the updated record,
+ *          or `undefined` if nothing was changed.
+ */
+const upgradeAuthor = async (id, identifiers) => {
+  const authors = await getAuthors();
+  const author = authors.find((record) => record.id === id);
+  if (!author) {
+    return;
+  }
+
+  const changes = {};
+  if (identifiers.channelId && !author.channelId) {
+    changes.channelId = identifiers.channelId;
+  }
+  if (identifiers.handle && !author.handle) {
+    changes.handle = identifiers.handle.toLowerCase();
+  }
+  if (!Object.keys(changes).length) {
+    return;
+  }
+
+  return updateAuthor(id, changes, "in-page");
+};
+
+/**
+ * The removals of blocked authors made in the popup that can still be undone, as the
+ * timers that carry them out, by removal id. The popup only hides the entries while it
+ * offers to undo the removal; deleting them here means the removal also happens when the
+ * popup is closed in the meantime.
+ */
+const pendingRemovals = new Map();
+let nextRemovalId = 1;
+
+/**
+ * Deletes blocked authors once their removal can no longer be undone, after
+ * `REMOVAL_UNDO_DELAY`.
+ *
+ * @param {Array<IDBValidKey>} ids - The unique identifiers of the author records.
+ * @param {string} source - Where the authors were removed, see `AUDIT_SOURCES`.
+ * @returns {number} The id of the removal, to undo it with `cancelRemoval`.
+ */
+const scheduleRemoval = (ids, source) => {
+  const removalId = nextRemovalId++;
+  const timer = setTimeout(() => {
+    pendingRemovals.delete(removalId);
+    deleteAuthors(ids, source).catch((error) =>
+      console.error("Error removing authors:", error)
+    );
+  }, REMOVAL_UNDO_DELAY);
+  pendingRemovals.set(removalId, timer);
+  return removalId;
+};
+
+/**
+ * Undoes a removal scheduled with `scheduleRemoval`, leaving the block list untouched.
+ *
+ * @param {number} removalId - The id of the removal.
+ * @throws {Error} With the "failed" code if the authors were already deleted.
+ */
+const cancelRemoval = (removalId) => {
+  if (!pendingRemovals.has(removalId)) {
+    throw createError(
+      ERROR_CODES.failed,
+      "The entries were already removed and can't be restored."
+    );
+  }
+  clearTimeout(pendingRemovals.get(removalId));
+  pendingRemovals.delete(removalId);
+};
+
+/**
+ * Reads the idle timeout of an unlock session chosen in the popup.
+ *
+ * @returns {Promise<number>} A promise that resolves to the timeout in milliseconds.
+ */
+const getLockTimeout = async () => {
+  const minutes = await getSetting(
+    LOCK_TIMEOUT_SETTING,
+    LOCK_TIMEOUT_CHOICES[0].id
+  );
+  return Number(minutes) * 60 * 1000;
+};
+
+/**
+ * Lets the browser report being idle after the session's idle timeout, or when the
+ * screen is locked, so the session can be ended right then.
+ *
+ * @returns {Promise<void>} A promise that resolves once the interval has been set.
+ */
+const applyIdleDetection = async () => {
+  // Chrome doesn't accept intervals below 15 seconds
+  const seconds = Math.max(15, Math.round((await getLockTimeout()) / 1000));
+  chrome.idle.setDetectionInterval(seconds);
+};
+
+/**
+ * Ends the unlock session, e.g. for the popup's "Lock now" button.
+ *
+ * @returns {Promise<void>} A promise that resolves once the session has been removed.
+ */
+const lockSession = () => chrome.storage.session.remove("session");
+
+/**
+ * Checks whether an unlock session is active and, if so, records the check as activity.
+ *
+ * The session lives in `chrome.storage.session`, which survives the service worker being
+ * suspended but is cleared when the browser closes. It ends once it has been idle for
+ * longer than the chosen timeout.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to the role the session was
+ *          unlocked with ("admin" or "viewer"), or `null` if no session is active.
+ */
+const touchSession = async () => {
+  const { session } = await chrome.storage.session.get("session");
+  if (!session) {
+    return null;
+  }
+  const now = Date.now();
+  if (now - session.lastActivity >= (await getLockTimeout())) {
+    await lockSession();
+    return null;
+  }
+  await chrome.storage.session.set({
+    session: { ...session, lastActivity: now },
   });
+  // Sessions started before the viewer PIN existed could only be unlocked by the admin
+  return session.role || "admin";
 };
 
 /**
- * Listens for messages from other parts of the extension.
- * Specifically, it handles requests to fetch a list of blocked authors.
- *
- * @param {Object} message - The message sent by the calling part of the extension.
- *                           Expected to contain an action property.
- * @param {Object} sender - An object containing information about the sender of the message.
- * @param {function} sendResponse - A callback function to send a response back to the sender.
- *                                  The response is an object that may contain an array of authors
- *                                  if the requested action is "fetchBlockedAuthors".
- *
- * @returns {boolean} Returns true to indicate that the response to the message will be sent asynchronously.
- *                    This is necessary because the sendResponse callback function is used
- *                    within a promise (getAuthors). Returning true keeps the message channel open
- *                    for the asynchronous operation to complete.
- *
- * The listener checks if the received message has an action property equal to "fetchBlockedAuthors".
- * If so, it attempts to fetch the list of authors using the getAuthors function, which returns a promise.
- * Upon resolving the promise, the list of authors is sent back to the sender through the sendResponse callback.
- * If the promise is rejected (e.g., due to an error accessing the database), an empty array is sent back,
- * indicating that no authors could be fetched.
- *
- * Note: It's important to handle any potential errors gracefully to ensure the extension remains functional
- * even when unexpected issues occur during data retrieval.
- */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === "fetchBlockedAuthors") {
-    getAuthors()
-      .then((authors) => {
-        sendResponse({ authors: authors });
-      })
-      .catch((error) => {
-        // It's a good practice to log the error or handle it in a way that's appropriate for your extension.
-        console.error("Error fetching authors:", error);
-        sendResponse({ authors: [] });
-      });
-    return true; // Indicates asynchronous response.
+ * Starts an unlock session if the PIN is correct. The admin PIN unlocks everything, the
+ * viewer PIN only the restricted viewer mode.
+ *
+ * @param {string} pin - The PIN entered in the popup or the page.
+ * @param {string} [requiredRole] - Only unlock if the PIN is the one for this role. Any
+ *        other correct PIN is refused without starting a session.
+ * @returns {Promise<string>} A promise that resolves to the unlocked role ("admin" or
+ *          "viewer").
+ * @rejects {Error} If the PIN is invalid, not the one for `requiredRole`, or locked after
+ *          too many incorrect attempts.
+ */
+const unlockSession = async (pin, requiredRole) => {
+  const role = await identifyPIN(pin);
+  if (!role) {
+    throw createError(ERROR_CODES.invalid, "Invalid PIN!");
+  }
+  if (requiredRole && role !== requiredRole) {
+    throw createError(
+      ERROR_CODES.invalid,
+      `Only the ${requiredRole} PIN can do this.`
+    );
+  }
+
+  const now = Date.now();
+  await chrome.storage.session.set({
+    session: { startedAt: now, lastActivity: now, role },
+  });
+  await applyIdleDetection();
+  return role;
+};
+
+// End the session as soon as the user steps away or locks the screen.
+chrome.idle.onStateChanged.addListener((state) => {
+  if (state !== "active") {
+    lockSession();
   }
 });
+
+/**
+ * Blocks a channel on behalf of the in-page "Block this channel" control.
+ *
+ * The block list is PIN-protected, so nothing is written unless an admin session is
+ * active or the admin PIN sent along with the request is valid, which starts a session.
+ *
+ * @param {string} [pin] - The PIN entered in the page, not needed during an admin session.
+ * @param {{name: string, displayName?: string, channelId?: string, handle?: string}} channel -
+ *        The channel resolved by the content script.
+ * @returns {Promise<Object>} A promise that resolves to the stored author record.
+ * @rejects {Error} With a message to show in the page, e.g. if the PIN is invalid or the
+ *          channel is already blocked.
+ */
+const blockChannel = async (pin, channel) => {
+  if (!channel || !channel.name) {
+    throw createError(ERROR_CODES.invalid, "Could not identify the channel.");
+  }
+  if (!(await isPINSet())) {
+    throw createError(
+      ERROR_CODES.failed,
+      "Set a PIN in the ChannelGuardYT popup first."
+    );
+  }
+  if ((await touchSession()) !== "admin") {
+    await unlockSession(pin, "admin");
+  }
+  if (await authorExists(channel)) {
+    throw createError(
+      ERROR_CODES.duplicate,
+      "This channel is already on a block list."
+    );
+  }
+
+  const id = await addAuthor(channel, "in-page");
+  const authors = await getAuthors();
+  return authors.find((record) => record.id === id);
+};
+
+/**
+ * Files a request to unblock a channel on behalf of the in-page "Request unblock" control.
+ * Anyone can ask; the admin decides in the popup.
+ *
+ * @param {{name: string, displayName?: string, channelId?: string, handle?: string}} channel -
+ *        The channel of the hidden item.
+ * @param {IDBValidKey} [authorId] - The blocked author record that hid the item.
+ * @returns {Promise<{duplicate: boolean}>} A promise that resolves to the outcome, with
+ *          `duplicate` set if the channel already had a pending request.
+ * @rejects {Error} If the channel couldn't be identified.
+ */
+const requestUnblock = async (channel, authorId) => {
+  if (!channel || !channel.name) {
+    throw createError(ERROR_CODES.invalid, "Could not identify the channel.");
+  }
+  const id = await addUnblockRequest({ channel, authorId }, "in-page");
+  return { duplicate: id === undefined };
+};
+
+/**
+ * Reads everything a content script needs to filter a page.
+ *
+ * @returns {Promise<Object>} A promise that resolves to
+ *          `{ authors, titleRules, allowedAuthors, settings }`: the blocked authors of the
+ *          enabled block lists, the title rules, the approved channels of the allow-list
+ *          mode and the content settings.
+ */
+const getContentRules = async () => {
+  const [authors, titleRules, allowedAuthors, settings] = await Promise.all([
+    getActiveAuthors(),
+    getTitleRules(),
+    getAllowedAuthors(),
+    getContentSettings(),
+  ]);
+  return { authors, titleRules, allowedAuthors, settings };
+};
+
+/**
+ * The actions of the message API besides the database actions of `DATA_ACTIONS`: the
+ * unlock session shared by the popup and the in-page controls, and the requests of the
+ * content scripts. The session and content actions may be requested from YouTube tabs.
+ *
+ * - "session.unlock": starts a session if `pin` is the admin or viewer PIN, or only if it
+ *   is the PIN for `role` when that is given. Data: `{ role }`.
+ * - "session.get": whether a session is active and which role unlocked it. Counts as
+ *   activity, so it keeps the session from timing out. Data: `{ unlocked, role }`.
+ * - "session.lock": ends the session.
+ * - "authors.removeLater": deletes the authors `ids` once the undo delay has passed, see
+ *   `scheduleRemoval`. Data: the id of the removal, to cancel it with.
+ * - "authors.cancelRemoval": keeps the authors of the pending removal `removalId`.
+ * - "content.fetch": the rules to filter a page with, see `getContentRules`.
+ * - "content.upgradeAuthor": stores the `channelId` and/or `handle` resolved by the
+ *   content script on the name-only author record `id`. Data: the updated record or
+ *   nothing.
+ * - "content.blockChannel": adds `channel` to the block list during an admin session or
+ *   after verifying the admin PIN in `pin`. Data: the stored author record.
+ * - "content.requestUnblock": files a request to unblock `channel`, hidden by the author
+ *   `authorId`. Data: `{ duplicate }`.
+ * - "content.recordHiddenItems": counts `items`, the videos a content script hid, in the
+ *   statistics. Data: the number of newly counted items.
+ *
+ * "pin.update" and "pin.resetWithRecoveryCode" wrap the database actions of the same
+ * name and end the session once the PIN has changed, so only the new PIN unlocks.
+ */
+const BACKGROUND_ACTIONS = {
+  "session.unlock": {
+    fromTabs: true,
+    handler: async ({ pin, role }) => ({
+      role: await unlockSession(pin, role),
+    }),
+  },
+  "session.get": {
+    fromTabs: true,
+    handler: async () => {
+      const role = await touchSession();
+      return { unlocked: Boolean(role), role };
+    },
+  },
+  "session.lock": { fromTabs: true, handler: () => lockSession() },
+  "pin.update": {
+    ...DATA_ACTIONS["pin.update"],
+    handler: async (params, context) => {
+      await DATA_ACTIONS["pin.update"].handler(params, context);
+      await lockSession();
+    },
+  },
+  "pin.resetWithRecoveryCode": {
+    ...DATA_ACTIONS["pin.resetWithRecoveryCode"],
+    handler: async (params, context) => {
+      const remaining = await DATA_ACTIONS["pin.resetWithRecoveryCode"].handler(
+        params,
+        context
+      );
+      await lockSession();
+      return remaining;
+    },
+  },
+  "authors.removeLater": {
+    roles: ADMIN,
+    handler: ({ ids }, { source }) => scheduleRemoval(ids, source),
+  },
+  "authors.cancelRemoval": {
+    roles: ADMIN,
+    handler: ({ removalId }) => cancelRemoval(removalId),
+  },
+  "content.fetch": { fromTabs: true, handler: () => getContentRules() },
+  "content.upgradeAuthor": {
+    fromTabs: true,
+    handler: ({ id, channelId, handle }) =>
+      upgradeAuthor(id, { channelId, handle }),
+  },
+  "content.blockChannel": {
+    fromTabs: true,
+    handler: ({ channel, pin }) => blockChannel(pin, channel),
+  },
+  "content.requestUnblock": {
+    fromTabs: true,
+    handler: ({ channel, authorId }) => requestUnblock(channel, authorId),
+  },
+  "content.recordHiddenItems": {
+    fromTabs: true,
+    handler: ({ items }) => recordHiddenItemsToday(items || []),
+  },
+};
+
+// Answer the requests of the popup and the content scripts.
+chrome.runtime.onMessage.addListener(
+  createMessageHandler({ ...DATA_ACTIONS, ...BACKGROUND_ACTIONS }, touchSession)
+);
@@ -0,0 +1,215 @@
+/**
+ * Compares the incremental filter engine of contentScript.js (`createFilterEngine` with a
+ * `buildChannelIndex` lookup) with the filtering it replaced, which queried the whole
+ * document and compared every item with every blocked author on each DOM mutation.
+ *
+ * Open filterEngine.html in Chrome (a file:// URL works) and press "Run benchmark"; the
+ * results are shown on the page and logged to the console. The fixtures are synthetic
+ * feed tiles shaped like YouTube's, appended page by page like an infinite scroll, with a
+ * few hundred blocked channels. For each page, the time from appending the tiles until
+ * they have been filtered is measured, including the DOM work both approaches share.
+ * The engine's batches run right after the mutations instead of in the next animation
+ * frame, so waiting for frames isn't counted.
+ */
+
+/**
+ * The size of the synthetic block list and feed.
+ */
+const AUTHOR_COUNT = 300;
+const PAGE_COUNT = 20;
+const PAGE_SIZE = 30;
+
+/**
+ * Builds a block list mixing the kinds of entries users have: entries with a channel ID,
+ * with a @handle, name-only entries and a few patterns.
+ *
+ * @returns {Array<Object>} The author records.
+ */
+const createAuthors = () => {
+  const authors = [];
+  for (let number = 0; number < AUTHOR_COUNT; number++) {
+    const author = { id: number, name: `blocked channel ${number}` };
+    if (number % 3 === 0) {
+      author.channelId = `UC${String(number).padStart(22, "0")}`;
+    } else if (number % 3 === 1) {
+      author.handle = `@blocked${number}`;
+    }
+    authors.push(author);
+  }
+  ["casino", "giveaway", "prank"].forEach((pattern, number) =>
+    authors.push({
+      id: AUTHOR_COUNT + number,
+      name: pattern,
+      matchMode: "contains",
+    })
+  );
+  return authors;
+};
+
+/**
+ * Creates the markup of a feed tile. Every tenth tile is from a blocked channel.
+ *
+ * @param {number} number - The tile's number in the feed.
+ * @returns {string} The tile's HTML.
+ */
+const createTileHTML = (number) => {
+  const blocked = number % 10 === 0;
+  const authorNumber = blocked ? number % AUTHOR_COUNT : number;
+  let href = `/@channel${number}`;
+  if (blocked && authorNumber % 3 === 0) {
+    href = `/channel/UC${String(authorNumber).padStart(22, "0")}`;
+  } else if (blocked && authorNumber % 3 === 1) {
+    href = `/@blocked${authorNumber}`;
+  }
+  const name = blocked
+    ? `Blocked Channel ${authorNumber}`
+    : `Channel ${number}`;
+  return `
+    <div id="dismissible">
+      <a id="video-title" href="/watch?v=video${number}">Video number ${number}</a>
+      <ytd-channel-name><div id="text">${name}</div></ytd-channel-name>
+      <a class="yt-simple-endpoint yt-formatted-string" href="${href}">${name}</a>
+    </div>`;
+};
+
+/**
+ * Waits until pending mutation callbacks and batches have run.
+ *
+ * @returns {Promise<void>} A promise that resolves on the next task.
+ */
+const settle = () => new Promise((resolve) => setTimeout(resolve));
+
+/**
+ * Starts the filtering the engine replaced: on every mutation record with added nodes,
+ * each surface's items are queried in the whole document and compared with every author.
+ *
+ * @param {Element} container - The element the tiles are appended to.
+ * @param {Array<Object>} authors - The author records.
+ * @returns {MutationObserver} The observer, to disconnect after the run.
+ */
+const startFullPassFilter = (container, authors) => {
+  const blockedAuthors = prepareBlockedAuthors(authors);
+  const isBlocked = (channel) => {
+    let blocked = false;
+    blockedAuthors.forEach((blockedAuthor) => {
+      if (matchChannel(blockedAuthor, channel)) {
+        blocked = true;
+      }
+    });
+    return blocked;
+  };
+  const blockAuthors = () => {
+    SURFACES.forEach((surface) => {
+      document.querySelectorAll(surface.items).forEach((item) => {
+        const channel = channelFromItem(item, surface);
+        item.style.display =
+          channel !== null && isBlocked(channel) ? "none" : "";
+      });
+    });
+  };
+
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      if (mutation.addedNodes.length) {
+        blockAuthors();
+      }
+    });
+  });
+  observer.observe(container, { childList: true, subtree: true });
+  return observer;
+};
+
+/**
+ * Starts the incremental engine with the channel index.
+ *
+ * @param {Element} container - The element the tiles are appended to.
+ * @param {Array<Object>} authors - The author records.
+ * @returns {Object} The engine.
+ */
+const startIncrementalFilter = (container, authors) => {
+  const index = buildChannelIndex(prepareBlockedAuthors(authors));
+  const engine = createFilterEngine({
+    targets: [
+      {
+        selector: ITEM_SELECTOR,
+        describe: (item) => {
+          const channel = channelFromItem(item, SURFACES[0]);
+          return { channel, signature: JSON.stringify(channel) };
+        },
+        apply: (item, { channel }) => {
+          item.style.display =
+            channel !== null && findInChannelIndex(index, channel).length
+              ? "none"
+              : "";
+        },
+      },
+    ],
+    schedule: (flush) => queueMicrotask(flush),
+  });
+  engine.observe(container);
+  return engine;
+};
+
+/**
+ * Appends the feed page by page and measures how long each page takes to be filtered.
+ *
+ * @param {string} label - The name of the approach.
+ * @param {function(Element, Array<Object>): Object} start - Starts the approach's filtering.
+ * @returns {Promise<Object>} The measurements.
+ */
+const runScenario = async (label, start) => {
+  const fixtures = document.getElementById("fixtures");
+  fixtures.innerHTML = "";
+  const container = document.createElement("div");
+  fixtures.appendChild(container);
+  const filter = start(container, createAuthors());
+
+  const pageTimes = [];
+  for (let page = 0; page < PAGE_COUNT; page++) {
+    const startTime = performance.now();
+    for (let tile = 0; tile < PAGE_SIZE; tile++) {
+      // YouTube adds the tiles of a page one by one
+      const item = document.createElement("ytd-rich-item-renderer");
+      item.innerHTML = createTileHTML(page * PAGE_SIZE + tile);
+      container.appendChild(item);
+    }
+    await settle();
+    pageTimes.push(performance.now() - startTime);
+  }
+
+  if (filter instanceof MutationObserver) {
+    filter.disconnect();
+  }
+  container.remove();
+  const hidden = [...container.children].filter(
+    (item) => item.style.display === "none"
+  ).length;
+  return {
+    approach: label,
+    tiles: PAGE_COUNT * PAGE_SIZE,
+    hidden,
+    "total (ms)": Math.round(pageTimes.reduce((sum, time) => sum + time, 0)),
+    "last page (ms)": Math.round(pageTimes[pageTimes.length - 1]),
+  };
+};
+
+document.getElementById("runButton").addEventListener("click", async () => {
+  const results = document.getElementById("results");
+  results.textContent = "Running…";
+
+  const rows = [
+    await runScenario("Full document pass", startFullPassFilter),
+    await runScenario("Incremental engine", startIncrementalFilter),
+  ];
+  console.table(rows);
+  results.textContent = rows
+    .map((row) =>
+      Object.entries(row)
+        .map(([key, value]) => `${key}: ${value}`)
+        .join("\n")
+    )
+    .join("\n\n");
+  if (rows[0].hidden !== rows[1].hidden) {
+    results.textContent += "\n\nThe approaches hid different tiles!";
+  }
+});
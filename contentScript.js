@@ -1,60 +1,1268 @@
+/**
+ * Extracts the stable channel identifiers from the href of a channel link, see
+ * `parseChannelHref` in `modules/channelUtils.js`. Content scripts can't be modules, so
+ * it is set once that module has been imported at runtime, before the page is filtered.
+ */
+let parseChannelHref;
+
+/**
+ * Builds the function that compares a channel's display name with an author record's
+ * name, according to the record's match mode. Every mode is case-insensitive and is
+ * applied the same way on every surface. Records without a mode are matched exactly;
+ * records without a name (added by their channel ID or @handle) match no name.
+ *
+ * @param {Object} blockedAuthor - The blocked author record.
+ * @returns {function(string): boolean} Tests a channel name against the record.
+ */
+const createNameMatcher = (blockedAuthor) => {
+  if (!blockedAuthor.name) {
+    return () => false;
+  }
+  const pattern = blockedAuthor.name.toLowerCase();
+
+  switch (blockedAuthor.matchMode) {
+    case "contains":
+      return (name) => name.includes(pattern);
+    case "prefix":
+      return (name) => name.startsWith(pattern);
+    case "regex":
+      try {
+        const regex = new RegExp(blockedAuthor.name, "i");
+        return (name) => regex.test(name);
+      } catch (error) {
+        console.warn("Skipping invalid author pattern:", blockedAuthor.name);
+        return () => false;
+      }
+    default:
+      return (name) => name === pattern;
+  }
+};
+
+/**
+ * Attaches a name matcher to each blocked author record, so patterns are compiled
+ * once per block list instead of once per comparison.
+ *
+ * @param {Array<Object>} authors - The blocked author records.
+ * @returns {Array<Object>} The same records, each with a `matchesName` function.
+ */
+const prepareBlockedAuthors = (authors) =>
+  authors.map((author) => ({
+    ...author,
+    matchesName: createNameMatcher(author),
+  }));
+
+/**
+ * Decides whether a channel found on the page matches a blocked author record.
+ *
+ * Stable identifiers always win: when the record and the channel share an identifier
+ * type (channel ID or handle), only that identifier is compared, so renamed channels
+ * stay blocked and unrelated channels with the same display name are left alone.
+ * The display name is only used, with the record's match mode, when there is no
+ * identifier to compare; a record without a name then doesn't match.
+ *
+ * @param {Object} blockedAuthor - A blocked author record prepared by `prepareBlockedAuthors`.
+ * @param {{name: string, channelId?: string, handle?: string}} channel - The channel on the page.
+ * @returns {boolean} `true` if the channel is blocked by the record.
+ */
+const matchChannel = (blockedAuthor, channel) => {
+  if (blockedAuthor.channelId && channel.channelId) {
+    return blockedAuthor.channelId === channel.channelId;
+  }
+  if (blockedAuthor.handle && channel.handle) {
+    return blockedAuthor.handle === channel.handle;
+  }
+  return blockedAuthor.matchesName(channel.name);
+};
+
+/**
+ * Adds a value to the list stored under a key of a Map, creating the list if needed.
+ *
+ * @param {Map<string, Array>} map - The map.
+ * @param {string} key - The key.
+ * @param {*} value - The value to add once.
+ */
+const addToMultiMap = (map, key, value) => {
+  const values = map.get(key);
+  if (!values) {
+    map.set(key, [value]);
+  } else if (!values.includes(value)) {
+    values.push(value);
+  }
+};
+
+/**
+ * Adds an author record to a channel index, e.g. again after its channel ID or handle
+ * became known.
+ *
+ * @param {Object} index - The index built by `buildChannelIndex`.
+ * @param {Object} author - A record prepared by `prepareBlockedAuthors`.
+ */
+const addToChannelIndex = (index, author) => {
+  if (author.channelId) {
+    addToMultiMap(index.byChannelId, author.channelId, author);
+  }
+  if (author.handle) {
+    addToMultiMap(index.byHandle, author.handle, author);
+  }
+  if ((author.matchMode || "exact") === "exact") {
+    if (author.name) {
+      addToMultiMap(index.byName, author.name.toLowerCase(), author);
+    }
+  } else if (!index.patterns.includes(author)) {
+    index.patterns.push(author);
+  }
+};
+
+/**
+ * Indexes author records by channel ID, @handle and exact name, so the channel of an item
+ * is looked up in a few Map lookups instead of being compared with every record. Records
+ * matching by pattern ("contains", "prefix" or "regex") can't be indexed and are still
+ * compared one by one.
+ *
+ * @param {Array<Object>} authors - Records prepared by `prepareBlockedAuthors`.
+ * @returns {Object} The index, for `findInChannelIndex`.
+ */
+const buildChannelIndex = (authors) => {
+  const index = {
+    byChannelId: new Map(),
+    byHandle: new Map(),
+    byName: new Map(),
+    patterns: [],
+    positions: new Map(),
+  };
+  authors.forEach((author, position) => {
+    index.positions.set(author, position);
+    addToChannelIndex(index, author);
+  });
+  return index;
+};
+
+/**
+ * Finds the records of a channel index that match a channel. The index only narrows down
+ * the candidates; each one is confirmed with `matchChannel`, so the result is the same as
+ * comparing the channel with every record.
+ *
+ * @param {Object} index - The index built by `buildChannelIndex`.
+ * @param {{name: string, channelId?: string, handle?: string}} channel - The channel on the page.
+ * @returns {Array<Object>} The matching records, in the order they were indexed.
+ */
+const findInChannelIndex = (index, channel) => {
+  const candidates = new Set([
+    ...((channel.channelId && index.byChannelId.get(channel.channelId)) || []),
+    ...((channel.handle && index.byHandle.get(channel.handle)) || []),
+    ...(index.byName.get(channel.name) || []),
+    ...index.patterns,
+  ]);
+  return [...candidates]
+    .filter((author) => matchChannel(author, channel))
+    .sort((a, b) => index.positions.get(a) - index.positions.get(b));
+};
+
+/**
+ * Turns the stored title rules into matcher functions. Both modes are case-insensitive;
+ * rules with an invalid regex are skipped so one bad rule can't break the page.
+ *
+ * @param {Array<{pattern: string, mode: string}>} rules - The title rules.
+ * @returns {Array<function(string): boolean>} One matcher per usable rule.
+ */
+const compileTitleRules = (rules) => {
+  const matchers = [];
+  rules.forEach((rule) => {
+    if (rule.mode === "regex") {
+      try {
+        const regex = new RegExp(rule.pattern, "i");
+        matchers.push((title) => regex.test(title));
+      } catch (error) {
+        console.warn("Skipping invalid title rule:", rule.pattern, error);
+      }
+    } else {
+      const pattern = rule.pattern.toLowerCase();
+      matchers.push((title) => title.toLowerCase().includes(pattern));
+    }
+  });
+  return matchers;
+};
+
+/**
+ * Builds the channel description used for matching and blocking from a channel link.
+ *
+ * @param {Element} link - The anchor element pointing to the channel.
+ * @param {string} [name] - The display name, when it is not the link's own text.
+ * @returns {{name: string, displayName: string, channelId?: string, handle?: string}} The channel.
+ */
+const channelFromLink = (link, name = link.textContent) => {
+  const displayName = name.trim();
+  return {
+    name: displayName.toLowerCase(),
+    displayName,
+    ...parseChannelHref(link.getAttribute("href")),
+  };
+};
+
+/**
+ * Selects the links that point to a channel, by ID or by handle. The player's end
+ * screen links with absolute URLs.
+ */
+const CHANNEL_LINK_SELECTOR =
+  'a[href^="/@"], a[href^="/channel/"], a[href*="youtube.com/@"], a[href*="youtube.com/channel/"]';
+
+/**
+ * Selects the elements holding a channel's display name inside an item.
+ */
+const CHANNEL_NAME_SELECTOR =
+  "#channel-name #text, ytd-channel-name #text, #byline, .ytp-ce-channel-title, .yt-content-metadata-view-model-wiz__metadata-text";
+
+/**
+ * Selects the elements holding a video's title inside an item.
+ */
+const TITLE_SELECTOR =
+  "#video-title, .yt-lockup-metadata-view-model__title, .shortsLockupViewModelHostMetadataTitle, .ytp-ce-video-title, .ytp-videowall-still-info-title";
+
+/**
+ * The parts of YouTube that list videos, each of which can be turned on or off in the
+ * popup's settings (stored under the same ids). `items` selects the elements that are
+ * hidden as a whole; `getChannelName` overrides how the channel's display name is read
+ * where YouTube doesn't render it in a dedicated element; `onHide` runs whenever an item
+ * is hidden.
+ *
+ * Shorts tiles in shelves don't show their channel, so only title rules apply to them.
+ */
+const SURFACES = [
+  {
+    id: "feed",
+    items:
+      'ytd-rich-item-renderer:not(:has(ytm-shorts-lockup-view-model)), ytd-grid-video-renderer, [bigger-thumb-style="DEFAULT"]',
+  },
+  {
+    id: "search",
+    items:
+      "ytd-search ytd-video-renderer, ytd-search ytd-channel-renderer, ytd-search ytd-playlist-renderer, ytd-search yt-lockup-view-model",
+  },
+  {
+    id: "upNext",
+    items:
+      "ytd-watch-next-secondary-results-renderer ytd-compact-video-renderer, ytd-watch-next-secondary-results-renderer yt-lockup-view-model",
+  },
+  {
+    id: "endScreen",
+    items: ".ytp-ce-element, .ytp-videowall-still",
+    // The video wall shows "Channel • 1.2M views" in a single line
+    getChannelName: (item) => {
+      const author = item.querySelector(".ytp-videowall-still-info-author");
+      return author ? author.textContent.split("•")[0] : null;
+    },
+  },
+  {
+    id: "playlists",
+    items:
+      "ytd-playlist-panel-video-renderer, ytd-playlist-video-renderer, ytd-radio-renderer, ytd-compact-radio-renderer",
+  },
+  {
+    id: "shorts",
+    items:
+      "ytd-rich-item-renderer:has(ytm-shorts-lockup-view-model), ytd-reel-item-renderer, ytd-reel-shelf-renderer ytm-shorts-lockup-view-model, ytd-reel-video-renderer",
+    // A hidden reel in the Shorts player must not keep playing
+    onHide: (item) =>
+      item.querySelectorAll("video").forEach((video) => video.pause()),
+  },
+];
+
+/**
+ * Selects the items of every surface at once.
+ */
+const ITEM_SELECTOR = SURFACES.map((surface) => surface.items).join(", ");
+
+/**
+ * Selects comment threads and individual replies. A thread is hidden as a whole when
+ * its top-level comment is from a blocked channel; a blocked reply is hidden on its own.
+ */
+const COMMENT_SELECTOR =
+  "ytd-comment-thread-renderer, ytd-comment-replies-renderer ytd-comment-view-model, ytd-comment-replies-renderer ytd-comment-renderer";
+
+/**
+ * Resolves the channel of a listed item from its channel link and/or name element.
+ *
+ * @param {Element} item - The item, e.g. a video tile.
+ * @param {Object} surface - The surface the item belongs to, see `SURFACES`.
+ * @returns {Object|null} The channel, or `null` if the item doesn't show one.
+ */
+const channelFromItem = (item, surface) => {
+  const nameElement = item.querySelector(CHANNEL_NAME_SELECTOR);
+  const name =
+    (surface.getChannelName && surface.getChannelName(item)) ||
+    (nameElement && nameElement.textContent);
+  const link = item.querySelector(CHANNEL_LINK_SELECTOR);
+
+  if (link) {
+    return channelFromLink(link, name || link.textContent);
+  }
+  if (name && name.trim()) {
+    return { name: name.trim().toLowerCase(), displayName: name.trim() };
+  }
+  return null;
+};
+
+/**
+ * Reads the title of a listed item.
+ *
+ * @param {Element} item - The item, e.g. a video tile.
+ * @returns {string} The title, or an empty string if the item has none.
+ */
+const titleFromItem = (item) => {
+  const titleElement = item.querySelector(TITLE_SELECTOR);
+  if (!titleElement) {
+    return "";
+  }
+  return (
+    titleElement.getAttribute("title") || titleElement.textContent
+  ).trim();
+};
+
+/**
+ * Resolves the ID of the video a listed item links to, from a watch or Shorts link.
+ *
+ * @param {Element} item - The item, e.g. a video tile.
+ * @returns {string|null} The video ID, or `null` if the item doesn't link to a video.
+ */
+const videoIdFromItem = (item) => {
+  const link = item.querySelector(
+    'a[href*="/watch?"], a[href^="/shorts/"], a[href*="youtube.com/shorts/"]'
+  );
+  if (!link) {
+    return null;
+  }
+  const url = new URL(link.getAttribute("href"), window.location.origin);
+  const shortsMatch = url.pathname.match(/^\/shorts\/([^/?]+)/);
+  return shortsMatch ? shortsMatch[1] : url.searchParams.get("v");
+};
+
+/**
+ * Resolves the channel of the current channel page ("/@handle/…" or "/channel/UC…/…").
+ * The header is looked up on every call because YouTube reuses it across in-app navigations.
+ *
+ * @returns {Object|null} The channel, or `null` when the current page is not a channel page.
+ */
+const channelFromChannelPage = () => {
+  const identifiers = parseChannelHref(window.location.pathname);
+  if (!identifiers.channelId && !identifiers.handle) {
+    return null;
+  }
+  const title = document.querySelector(
+    "#page-header h1, #channel-header #channel-name #text"
+  );
+  const displayName =
+    (title && title.textContent.trim()) ||
+    identifiers.handle ||
+    identifiers.channelId;
+  return { name: displayName.toLowerCase(), displayName, ...identifiers };
+};
+
+/**
+ * Resolves the video and channel of the current watch page.
+ *
+ * After an in-app navigation YouTube updates the URL before the metadata under the
+ * player, so the channel is only reported once `ytd-watch-flexy` shows the video from
+ * the URL; until then the owner row may still describe the previous video.
+ *
+ * @returns {{key: string, surface: string, channel: Object}|null|undefined} The watch page,
+ *          keyed by video, `null` when the current page is not a watch page, or `undefined`
+ *          while its metadata is still loading.
+ */
+const getWatchPage = () => {
+  if (window.location.pathname !== "/watch") {
+    return null;
+  }
+  const videoId = new URLSearchParams(window.location.search).get("v");
+  const watchFlexy = document.querySelector("ytd-watch-flexy");
+  if (
+    !videoId ||
+    !watchFlexy ||
+    watchFlexy.getAttribute("video-id") !== videoId
+  ) {
+    return undefined;
+  }
+  const link = document.querySelector(
+    "ytd-watch-metadata #owner #channel-name a"
+  );
+  return link
+    ? { key: videoId, surface: "watchPage", channel: channelFromLink(link) }
+    : undefined;
+};
+
+/**
+ * Resolves the page that can be blocked as a whole: a watch page or a channel page.
+ *
+ * @returns {{key: string, surface: string, channel: Object}|null|undefined} The page,
+ *          `null` for any other page, or `undefined` while a watch page is loading.
+ */
+const getCurrentPage = () => {
+  if (window.location.pathname === "/watch") {
+    return getWatchPage();
+  }
+  const channel = channelFromChannelPage();
+  return channel
+    ? {
+        key: channel.channelId || channel.handle,
+        surface: "channelPage",
+        channel,
+      }
+    : null;
+};
+
+/**
+ * Creates the incremental engine that applies the filter rules to the page as it changes.
+ *
+ * Instead of querying the whole document on every DOM change, the engine collects the
+ * nodes that were added (or whose link changed) and processes them in one batch per
+ * animation frame, so a burst of mutations, e.g. the next page of an infinite scroll,
+ * costs a single pass. Only targets inside or around those nodes are looked at, and each
+ * one is only applied again when its description changed (YouTube recycles elements for
+ * other videos) or after `refresh`, e.g. because the block list changed.
+ *
+ * Animation frames don't run in background tabs, which still have to be filtered (a
+ * blocked video must not play there either), so hidden tabs use a short timeout instead.
+ *
+ * @param {Object} options - The engine options.
+ * @param {Array<{selector: string, describe: function(Element): Object, apply: function(Element, Object): void}>} options.targets -
+ *        The kinds of elements to filter. `describe` reads what the rules depend on and
+ *        returns it with a `signature` string; `apply` applies the rules to the element.
+ * @param {Function} [options.onFlush] - Called after each batch, e.g. for page-level checks.
+ * @param {function(Function): void} [options.schedule] - Runs a batch later; by default in
+ *        the next animation frame.
+ * @returns {{observe: function(Node): void, refresh: function(): void, flush: function(): void}}
+ *          The engine: `observe` starts watching a root for changes, `refresh` re-applies
+ *          every target in the next batch and `flush` runs the pending batch right away.
+ */
+const createFilterEngine = ({
+  targets,
+  onFlush = () => {},
+  schedule = (flush) =>
+    document.hidden ? setTimeout(flush, 100) : requestAnimationFrame(flush),
+}) => {
+  // The signature and rule generation each element was last applied with, per target
+  const applied = targets.map(() => new WeakMap());
+  let generation = 0;
+  let pendingRoots = new Set();
+  let fullPass = false;
+  let scheduled = false;
+
+  // Adds the targets at, inside and around (containing) a changed node
+  const collect = (root, selector, found) => {
+    for (
+      let element = root.closest(selector);
+      element;
+      element = element.parentElement && element.parentElement.closest(selector)
+    ) {
+      found.add(element);
+    }
+    root.querySelectorAll(selector).forEach((element) => found.add(element));
+  };
+
+  const flush = () => {
+    scheduled = false;
+    const roots = fullPass
+      ? [document.body]
+      : [...pendingRoots].filter((root) => root.isConnected);
+    pendingRoots = new Set();
+    fullPass = false;
+
+    targets.forEach((target, position) => {
+      const found = new Set();
+      roots.forEach((root) => collect(root, target.selector, found));
+      found.forEach((element) => {
+        const description = target.describe(element);
+        const previous = applied[position].get(element);
+        if (
+          previous &&
+          previous.generation === generation &&
+          previous.signature === description.signature
+        ) {
+          return;
+        }
+        applied[position].set(element, {
+          generation,
+          signature: description.signature,
+        });
+        target.apply(element, description);
+      });
+    });
+    onFlush();
+  };
+
+  const requestFlush = () => {
+    if (!scheduled) {
+      scheduled = true;
+      schedule(flush);
+    }
+  };
+
+  const observer = new MutationObserver((mutations) => {
+    mutations.forEach((mutation) => {
+      if (mutation.type === "attributes") {
+        pendingRoots.add(mutation.target);
+        return;
+      }
+      mutation.addedNodes.forEach((node) => {
+        const element =
+          node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        if (element) {
+          pendingRoots.add(element);
+        }
+      });
+    });
+    if (pendingRoots.size) {
+      requestFlush();
+    }
+  });
+
+  return {
+    observe: (root) =>
+      observer.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ["href"],
+      }),
+    refresh: () => {
+      generation++;
+      fullPass = true;
+      requestFlush();
+    },
+    flush,
+  };
+};
+
+/**
+ * Pauses every video on the page, including the miniplayer.
+ */
+const pauseVideos = () => {
+  document.querySelectorAll("video").forEach((video) => video.pause());
+};
+
+/**
+ * Shows an in-page dialog asking for the ChannelGuardYT PIN, or only for a confirmation.
+ * Unlike `confirm()`, it doesn't block the page.
+ *
+ * The dialog stays open until `onSubmit` succeeds or the user cancels, so a wrong PIN
+ * can be corrected without starting over.
+ *
+ * @param {string} title - The question shown above the PIN input.
+ * @param {function(string): Promise<string|undefined>} onSubmit - Called with the entered PIN.
+ *        Resolves with an error message to keep the dialog open, or nothing to close it.
+ * @param {Object} [options={}] - More options.
+ * @param {boolean} [options.askPIN=true] - Whether to ask for the PIN; without it the
+ *        dialog only asks to confirm.
+ * @returns {Promise<boolean>} Resolves with `true` if the PIN was accepted, `false` if cancelled.
+ */
+const requestPIN = (title, onSubmit, { askPIN = true } = {}) => {
+  return new Promise((resolve) => {
+    const overlay = document.createElement("div");
+    overlay.className = "cgyt-dialog-overlay";
+    overlay.innerHTML = `
+      <form class="cgyt-dialog">
+        <p class="cgyt-dialog-title"></p>
+        <input type="password" inputmode="numeric" autocomplete="off" placeholder="PIN" />
+        <p class="cgyt-dialog-error"></p>
+        <div class="cgyt-dialog-actions">
+          <button type="button" data-action="cancel">Cancel</button>
+          <button type="submit">Confirm</button>
+        </div>
+      </form>`;
+    overlay.querySelector(".cgyt-dialog-title").textContent = title;
+
+    const form = overlay.querySelector("form");
+    const input = overlay.querySelector("input");
+    const error = overlay.querySelector(".cgyt-dialog-error");
+    if (!askPIN) {
+      input.remove();
+    }
+
+    const close = (accepted) => {
+      overlay.remove();
+      resolve(accepted);
+    };
+
+    overlay
+      .querySelector('[data-action="cancel"]')
+      .addEventListener("click", () => close(false));
+    form.addEventListener("submit", async (event) => {
+      event.preventDefault();
+      const message = await onSubmit(input.value);
+      if (message) {
+        error.textContent = message;
+        input.value = "";
+        if (askPIN) {
+          input.focus();
+        }
+      } else {
+        close(true);
+      }
+    });
+    // Keep YouTube's keyboard shortcuts from reacting to the PIN being typed
+    overlay.addEventListener("keydown", (event) => {
+      event.stopPropagation();
+      if (event.key === "Escape") {
+        close(false);
+      }
+    });
+
+    document.body.appendChild(overlay);
+    (askPIN ? input : form.querySelector('[type="submit"]')).focus();
+  });
+};
+
 /**
  * Continuously monitors the YouTube page for dynamic content changes (e.g., when new videos load as the user scrolls).
  * It applies the content filtering logic to newly added elements to hide those associated with blocked authors.
  */
 if (window.location.host === "www.youtube.com") {
-  chrome.runtime.sendMessage({ action: "fetchBlockedAuthors" }, (response) => {
-    const blockedAuthors = response.authors || [];
-
-    const blockAuthors = () => {
-      const authorLinks = document.querySelectorAll(
-        "a.yt-simple-endpoint.yt-formatted-string"
+  // Content scripts can't be modules, so the data client, the channel helpers and the
+  // notifications are imported at runtime. They are web accessible resources of the
+  // manifest.
+  const helpersImport = Promise.all([
+    import(chrome.runtime.getURL("modules/channelUtils.js")),
+    import(chrome.runtime.getURL("modules/notifications.js")),
+  ]);
+  import(chrome.runtime.getURL("modules/dataClient.js"))
+    .then(async (dataClient) => {
+      const [channelUtils, { showError, showToast }] = await helpersImport;
+      parseChannelHref = channelUtils.parseChannelHref;
+      let response;
+      try {
+        response = await dataClient.fetchContentRules();
+      } catch (error) {
+        // Keep the page working; err on the side of asking for the PIN
+        console.error("Error fetching the block list:", error);
+        response = { settings: { pinProtected: true } };
+      }
+      let blockedIndex = buildChannelIndex(
+        prepareBlockedAuthors(response.authors || [])
       );
-      const elementsWithBiggerThumb = document.querySelectorAll(
-        '[bigger-thumb-style="DEFAULT"]'
+      let titleMatchers = compileTitleRules(response.titleRules || []);
+      let allowedIndex = buildChannelIndex(
+        prepareBlockedAuthors(response.allowedAuthors || [])
       );
+      let settings = response.settings || {};
 
-      authorLinks.forEach((link) => {
-        const authorName = link.textContent.trim().toLowerCase();
-        blockedAuthors.forEach((blockedAuthor) => {
-          if (authorName === blockedAuthor.name.toLowerCase()) {
-            const elementToHide = link.closest("#dismissible");
-            if (elementToHide) {
-              elementToHide.style.display = "none";
-            }
+      /**
+       * Surfaces are filtered unless turned off in the popup.
+       */
+      const isSurfaceEnabled = (surfaceId) =>
+        !settings.surfaces || settings.surfaces[surfaceId] !== false;
+
+      /**
+       * Records that matched a tile carrying a channel ID or handle they don't have yet
+       * are upgraded in the background: name-only records, so later matches no longer
+       * depend on the name, and records added by one identifier, so they also match
+       * tiles that only link by the other one, whether the tile was matched by that
+       * identifier or, lacking it, by the name. The identifiers are copied onto the
+       * local record as well so the upgrade is requested only once per page load.
+       */
+      const upgradeBlockedAuthor = (blockedAuthor, channel) => {
+        const matchedByIdentifier =
+          (blockedAuthor.channelId &&
+            blockedAuthor.channelId === channel.channelId) ||
+          (blockedAuthor.handle && blockedAuthor.handle === channel.handle);
+        // Only an exact name match is trusted to identify the channel, and only when
+        // the tile has none of the record's identifiers to compare instead
+        const matchedByName =
+          !(blockedAuthor.channelId && channel.channelId) &&
+          !(blockedAuthor.handle && channel.handle) &&
+          Boolean(blockedAuthor.name) &&
+          (blockedAuthor.matchMode || "exact") === "exact" &&
+          channel.name === blockedAuthor.name.toLowerCase();
+        if (!matchedByIdentifier && !matchedByName) {
+          return;
+        }
+
+        const identifiers = {};
+        if (channel.channelId && !blockedAuthor.channelId) {
+          identifiers.channelId = channel.channelId;
+        }
+        if (channel.handle && !blockedAuthor.handle) {
+          identifiers.handle = channel.handle;
+        }
+        if (!Object.keys(identifiers).length) {
+          return;
+        }
+
+        Object.assign(blockedAuthor, identifiers);
+        addToChannelIndex(blockedIndex, blockedAuthor);
+        dataClient
+          .upgradeAuthor(blockedAuthor.id, identifiers)
+          .catch((error) => console.warn("Could not upgrade author:", error));
+      };
+
+      /**
+       * Looks the channel up in the blocked authors and returns the first one that
+       * matches, or `null`.
+       */
+      const findBlockingAuthor = (channel) => {
+        const matching = findInChannelIndex(blockedIndex, channel);
+        matching.forEach((blockedAuthor) =>
+          upgradeBlockedAuthor(blockedAuthor, channel)
+        );
+        return matching.length ? matching[0] : null;
+      };
+
+      /**
+       * Decides whether the content of a channel is hidden. In allow-list mode everything
+       * but the approved channels is hidden, including items whose channel can't be told;
+       * otherwise only blocked channels are hidden.
+       *
+       * @param {Object|null} channel - The channel, or `null` if it couldn't be resolved.
+       * @returns {{hidden: boolean, authorId?: number}} The verdict, with the blocked
+       *          author that hid the channel in block-list mode.
+       */
+      const judgeChannel = (channel) => {
+        if (settings.filterMode === "allow") {
+          return {
+            hidden:
+              channel === null ||
+              findInChannelIndex(allowedIndex, channel).length === 0,
+          };
+        }
+        const author = channel !== null ? findBlockingAuthor(channel) : null;
+        return {
+          hidden: author !== null,
+          authorId: author ? author.id : undefined,
+        };
+      };
+
+      /**
+       * Reads the role of the unlock session shared with the popup, or `null` if no session
+       * is active or the background script can't be reached.
+       */
+      const getSessionRole = () =>
+        dataClient.getSession().then(
+          (session) => session.role,
+          () => null
+        );
+
+      /**
+       * Asks for the admin PIN when PIN protection is on, e.g. before showing hidden
+       * content, unless an admin session shared with the popup is active. A correct PIN
+       * starts that session; the viewer PIN is turned down.
+       *
+       * @param {string} title - The prompt shown in the PIN dialog.
+       * @returns {Promise<boolean>} `true` once the PIN was entered, or right away when no
+       *          PIN is set or an admin session is active; `false` if the user cancelled.
+       */
+      const confirmWithPIN = async (title) => {
+        if (!settings.pinProtected) {
+          return true;
+        }
+        if ((await getSessionRole()) === "admin") {
+          return true;
+        }
+        return requestPIN(title, async (pin) => {
+          try {
+            await dataClient.unlock(pin, "admin");
+            return null;
+          } catch (error) {
+            return error.message;
           }
         });
-      });
+      };
+
+      /**
+       * The channel and blocked author that hid each item, for the placeholder's
+       * "Request unblock" action. Items hidden by a title rule have no entry; in allow-list
+       * mode there is no blocked author.
+       */
+      const hiddenBy = new WeakMap();
+
+      /**
+       * Sends a request to unblock the channel that hid an item, for the admin to decide
+       * on in the popup. No PIN is needed to ask.
+       */
+      const requestUnblock = async (element, button) => {
+        const { channel, authorId } = hiddenBy.get(element);
+        try {
+          await dataClient.requestUnblock(channel, authorId);
+        } catch (error) {
+          showError(error);
+          return;
+        }
+        showToast("Your request was sent.", "success");
+        button.textContent = "Unblock requested";
+        button.disabled = true;
+      };
 
-      elementsWithBiggerThumb.forEach((element) => {
-        const authorDiv = element.querySelector("#text");
-        blockedAuthors.forEach((blockedAuthor) => {
-          if (
-            authorDiv.textContent
-              .toLowerCase()
-              .includes(blockedAuthor.name.toLowerCase())
-          ) {
+      /**
+       * Creates the compact "Hidden by ChannelGuardYT" placeholder shown in place of an
+       * item. Its "Show anyway" action reveals the item until the next navigation; items
+       * hidden because of their channel also offer to request the channel be unblocked.
+       */
+      const createPlaceholder = (element) => {
+        const placeholder = document.createElement("div");
+        placeholder.className = "cgyt-placeholder";
+        placeholder.innerHTML = `
+        <span>Hidden by ChannelGuardYT</span>
+        <button type="button" data-action="show">Show anyway</button>
+        <button type="button" data-action="request">Request unblock</button>`;
+        placeholder
+          .querySelector('[data-action="show"]')
+          .addEventListener("click", async () => {
+            if (await confirmWithPIN("Enter your PIN to show this item.")) {
+              element.dataset.cgytRevealed = "true";
+              setHidden(element, false);
+            }
+          });
+
+        const requestButton = placeholder.querySelector(
+          '[data-action="request"]'
+        );
+        if (hiddenBy.has(element)) {
+          requestButton.addEventListener("click", () =>
+            requestUnblock(element, requestButton)
+          );
+        } else {
+          requestButton.remove();
+        }
+        return placeholder;
+      };
+
+      /**
+       * Hides or restores an element using one of the hide styles: "remove" takes it out
+       * of the layout, "blur" blurs its thumbnail and title and makes it unclickable, and
+       * "placeholder" replaces it with a placeholder offering to show it anyway. Elements
+       * hidden by the extension are marked with the style used, so they can be restored
+       * (or restyled) later without touching elements YouTube hid on its own.
+       */
+      const setHidden = (
+        element,
+        hidden,
+        { style = "remove", onHide } = {}
+      ) => {
+        const current = element.dataset.cgytHidden;
+
+        if (current && (!hidden || current !== style)) {
+          if (current === "blur") {
+            element.classList.remove("cgyt-blurred");
+          } else {
+            element.style.removeProperty("display");
+          }
+          const previous = element.previousElementSibling;
+          if (previous && previous.classList.contains("cgyt-placeholder")) {
+            previous.remove();
+          }
+          delete element.dataset.cgytHidden;
+        }
+
+        if (!hidden) {
+          return;
+        }
+        if (element.dataset.cgytHidden !== style) {
+          if (style === "blur") {
+            element.classList.add("cgyt-blurred");
+          } else {
             element.style.display = "none";
           }
+          if (style === "placeholder") {
+            element.before(createPlaceholder(element));
+          }
+          element.dataset.cgytHidden = style;
+        }
+        if (onHide) {
+          onHide(element);
+        }
+      };
+
+      /**
+       * Videos already reported as hidden during this page load, and the reports waiting
+       * to be sent. Reports are batched because items are filtered a few at a time as the
+       * page changes.
+       */
+      const reportedVideoIds = new Set();
+      let pendingReports = [];
+
+      /**
+       * Reports a hidden video to the background script for the statistics, once per
+       * video and page load. The background script deduplicates per day as well.
+       */
+      const reportHidden = (videoId, surfaceId, channel) => {
+        if (!videoId || reportedVideoIds.has(videoId)) {
+          return;
+        }
+        reportedVideoIds.add(videoId);
+        pendingReports.push({
+          videoId,
+          surface: surfaceId,
+          channelKey: channel
+            ? channel.channelId || channel.handle || channel.name
+            : "",
+          channelName: channel ? channel.displayName : "",
         });
-      });
-    };
 
-    blockAuthors();
+        if (pendingReports.length === 1) {
+          setTimeout(() => {
+            dataClient
+              .recordHiddenItems(pendingReports)
+              // The statistics are best effort; hiding must not depend on them
+              .catch(() => {});
+            pendingReports = [];
+          }, 1000);
+        }
+      };
+
+      /**
+       * Reads what the rules depend on from a listed item: the surfaces it belongs to, the
+       * channel as each surface reads it, its title and its video.
+       */
+      const describeItem = (item) => {
+        const surfaces = SURFACES.filter((surface) =>
+          item.matches(surface.items)
+        );
+        const channels = surfaces.map((surface) =>
+          channelFromItem(item, surface)
+        );
+        const title = titleFromItem(item);
+        const videoId = videoIdFromItem(item);
+        return {
+          surfaces,
+          channels,
+          title,
+          videoId,
+          signature: JSON.stringify([
+            surfaces.map((surface) => surface.id),
+            channels,
+            title,
+            videoId,
+          ]),
+        };
+      };
+
+      /**
+       * Applies the current block list to a listed item, in both directions: items of
+       * blocked (in allow-list mode: unapproved) channels or with a blocked title are
+       * hidden, and previously hidden items that no longer match (or whose surface was
+       * turned off) are shown again. An item that belongs to several surfaces stays hidden
+       * if any of them hides it. Items the user chose to show anyway are left alone.
+       */
+      const applyItem = (item, { surfaces, channels, title, videoId }) => {
+        const titleBlocked =
+          title !== "" && titleMatchers.some((matches) => matches(title));
+        let hiding = null;
+        surfaces.forEach((surface, position) => {
+          if (hiding || !isSurfaceEnabled(surface.id)) {
+            return;
+          }
+          const channel = channels[position];
+          const verdict = judgeChannel(channel);
+          if (verdict.hidden || titleBlocked) {
+            hiding = { surface, channel, verdict };
+          }
+        });
 
-    // Setting up a MutationObserver to observe DOM changes and apply the blocking logic to new elements.
-    const observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.addedNodes.length) {
-          blockAuthors();
+        if (hiding && hiding.verdict.hidden && hiding.channel !== null) {
+          hiddenBy.set(item, {
+            channel: hiding.channel,
+            authorId: hiding.verdict.authorId,
+          });
+        } else {
+          hiddenBy.delete(item);
         }
+        setHidden(item, hiding !== null && !item.dataset.cgytRevealed, {
+          style: settings.hideStyle,
+          onHide: hiding && hiding.surface.onHide,
+        });
+        if (hiding) {
+          reportHidden(videoId, hiding.surface.id, hiding.channel);
+        }
+      };
+
+      /**
+       * Shows or removes the "Comment from blocked channel" placeholder in front of a
+       * hidden comment.
+       */
+      const setCommentPlaceholder = (comment, shown) => {
+        const previous = comment.previousElementSibling;
+        const placeholder =
+          previous && previous.classList.contains("cgyt-comment-placeholder")
+            ? previous
+            : null;
+
+        if (shown && !placeholder) {
+          const element = document.createElement("div");
+          element.className = "cgyt-comment-placeholder";
+          element.textContent = "Comment from blocked channel";
+          comment.before(element);
+        } else if (!shown && placeholder) {
+          placeholder.remove();
+        }
+      };
+
+      /**
+       * Reads the channel that wrote a comment thread or reply.
+       */
+      const describeComment = (comment) => {
+        const authorLink = comment.querySelector("a#author-text");
+        const channel =
+          authorLink !== null ? channelFromLink(authorLink) : null;
+        return { channel, signature: JSON.stringify(channel) };
+      };
+
+      /**
+       * Hides comment threads and replies written by blocked channels, either removing
+       * them or collapsing them to a placeholder depending on the comment hide style.
+       */
+      const applyComment = (comment, { channel }) => {
+        const blocked =
+          isSurfaceEnabled("comments") && judgeChannel(channel).hidden;
+        setHidden(comment, blocked);
+        setCommentPlaceholder(
+          comment,
+          blocked && settings.commentHideStyle === "placeholder"
+        );
+      };
+
+      /**
+       * Asks for the PIN and sends the channel to the background script to be blocked.
+       */
+      const blockChannel = async (channel) => {
+        if (!channel) {
+          return;
+        }
+
+        const title = `Block "${channel.displayName}" with ChannelGuardYT?`;
+        if ((await getSessionRole()) === "admin") {
+          // No PIN needed during an admin session, but still confirm the click
+          if (await requestPIN(title, async () => null, { askPIN: false })) {
+            await dataClient
+              .blockChannel(channel)
+              .catch((error) => showError(error));
+          }
+          return;
+        }
+
+        await requestPIN(title, async (pin) => {
+          try {
+            await dataClient.blockChannel(channel, pin);
+          } catch (error) {
+            return error.message;
+          }
+          // The background script broadcasts the updated list to every tab,
+          // this one included, which hides the channel's items.
+        });
+      };
+
+      /**
+       * Creates a "Block this channel" button. The channel is resolved when the
+       * button is clicked, since YouTube reuses elements across navigations.
+       */
+      const createBlockButton = (getChannel) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = "cgyt-block-button";
+        button.textContent = "🚫";
+        button.title = "Block this channel";
+        button.addEventListener("click", (event) => {
+          // The button may sit inside a video link; don't open the video
+          event.preventDefault();
+          event.stopPropagation();
+          blockChannel(getChannel());
+        });
+        return button;
+      };
+
+      /**
+       * Adds a block button to the video tile of a channel link, unless already present.
+       */
+      const addTileBlockControl = (link) => {
+        const tile = link.closest("#dismissible");
+        if (!tile || tile.querySelector(".cgyt-block-button")) {
+          return;
+        }
+        tile.classList.add("cgyt-tile");
+        tile.appendChild(createBlockButton(() => channelFromLink(link)));
+      };
+
+      /**
+       * Adds a block button to the channel row under the watch-page player and to the
+       * channel page header, unless already present.
+       */
+      const addPageBlockControls = () => {
+        const owner = document.querySelector("ytd-watch-metadata #owner");
+        if (owner && !owner.querySelector(".cgyt-block-button")) {
+          owner.appendChild(
+            createBlockButton(() => {
+              const link = owner.querySelector("#channel-name a");
+              return link && channelFromLink(link);
+            })
+          );
+        }
+
+        const header = document.querySelector(
+          "#page-header yt-page-header-renderer, #channel-header-container"
+        );
+        if (header && !header.querySelector(".cgyt-block-button")) {
+          header.appendChild(createBlockButton(channelFromChannelPage));
+        }
+      };
+
+      /**
+       * The page (video or channel) the user unlocked with the PIN. It stays viewable
+       * until the user navigates away, so every new view of a blocked channel needs the
+       * PIN again.
+       */
+      let unlockedPageKey = null;
+      let interstitial = null;
+
+      /**
+       * Removes the "This channel is blocked" interstitial, if shown.
+       */
+      const hideInterstitial = () => {
+        if (interstitial) {
+          interstitial.remove();
+          interstitial = null;
+        }
+      };
+
+      /**
+       * Covers the page with a "This channel is blocked" (or, in allow-list mode, "not
+       * approved") interstitial and pauses playback. The video or channel page can be
+       * viewed once after entering the PIN.
+       */
+      const showInterstitial = (page) => {
+        pauseVideos();
+        if (interstitial && interstitial.dataset.pageKey === page.key) {
+          return;
+        }
+        hideInterstitial();
+        if (page.surface === "watchPage") {
+          reportHidden(page.key, page.surface, page.channel);
+        }
+
+        interstitial = document.createElement("div");
+        interstitial.className = "cgyt-interstitial";
+        interstitial.dataset.pageKey = page.key;
+        interstitial.innerHTML = `
+        <div class="cgyt-dialog">
+          <p class="cgyt-interstitial-title"></p>
+          <p class="cgyt-interstitial-channel"></p>
+          <div class="cgyt-dialog-actions">
+            <button type="button" data-action="cancel">Go back</button>
+            <button type="button" data-action="unlock">View once</button>
+          </div>
+        </div>`;
+        interstitial.querySelector(".cgyt-interstitial-title").textContent =
+          settings.filterMode === "allow"
+            ? "This channel is not approved"
+            : "This channel is blocked";
+        interstitial.querySelector(".cgyt-interstitial-channel").textContent =
+          page.channel.displayName;
+
+        interstitial
+          .querySelector('[data-action="cancel"]')
+          .addEventListener("click", () => {
+            if (window.history.length > 1) {
+              window.history.back();
+            } else {
+              window.location.assign("/");
+            }
+          });
+        interstitial
+          .querySelector('[data-action="unlock"]')
+          .addEventListener("click", async () => {
+            if (
+              await confirmWithPIN("Enter your PIN to view this page once.")
+            ) {
+              unlockedPageKey = page.key;
+              hideInterstitial();
+            }
+          });
+
+        document.body.appendChild(interstitial);
+      };
+
+      /**
+       * Blocks the watch page or channel page of a blocked channel (or of any channel but
+       * the approved ones in allow-list mode), if that surface is enabled. Runs on every DOM change and after each in-app navigation, because the
+       * content script is only injected once per full page load.
+       */
+      const enforcePage = () => {
+        const page = getCurrentPage();
+        if (page === undefined) {
+          // Metadata of the new video hasn't loaded yet; keep the current state
+          return;
+        }
+        if (
+          page &&
+          isSurfaceEnabled(page.surface) &&
+          page.key !== unlockedPageKey &&
+          judgeChannel(page.channel).hidden
+        ) {
+          showInterstitial(page);
+        } else {
+          hideInterstitial();
+        }
+      };
+
+      // Autoplay may start the video after the interstitial was shown; stop it again.
+      document.addEventListener(
+        "play",
+        (event) => {
+          if (interstitial) {
+            event.target.pause();
+          }
+        },
+        true
+      );
+
+      // Filter items, comments and tiles as they are added to the page, in batches.
+      const engine = createFilterEngine({
+        targets: [
+          { selector: ITEM_SELECTOR, describe: describeItem, apply: applyItem },
+          {
+            selector: COMMENT_SELECTOR,
+            describe: describeComment,
+            apply: applyComment,
+          },
+          {
+            selector: "a.yt-simple-endpoint.yt-formatted-string",
+            describe: () => ({ signature: "" }),
+            apply: addTileBlockControl,
+          },
+        ],
+        onFlush: () => {
+          addPageBlockControls();
+          enforcePage();
+        },
       });
-    });
 
-    // Configuration object for the observer: observing changes in child nodes and subtree.
-    const config = { childList: true, subtree: true };
+      // An unlock is for a single view: forget it as soon as the user navigates. YouTube
+      // reuses item elements across pages, so items shown anyway are hidden again too.
+      document.addEventListener("yt-navigate-start", () => {
+        unlockedPageKey = null;
+        document
+          .querySelectorAll("[data-cgyt-revealed]")
+          .forEach((element) => delete element.dataset.cgytRevealed);
+        engine.refresh();
+      });
+      document.addEventListener("yt-navigate-finish", enforcePage);
 
-    // Start observing the document body for changes.
-    observer.observe(document.body, config);
-  });
+      engine.refresh();
+      engine.flush();
+      engine.observe(document.body);
+
+      // Re-apply the rules whenever the block list changes in the popup or another tab.
+      chrome.runtime.onMessage.addListener((message) => {
+        if (message.action === "blockListChanged") {
+          blockedIndex = buildChannelIndex(
+            prepareBlockedAuthors(message.authors || [])
+          );
+          titleMatchers = compileTitleRules(message.titleRules || []);
+          allowedIndex = buildChannelIndex(
+            prepareBlockedAuthors(message.allowedAuthors || [])
+          );
+          settings = message.settings || {};
+          engine.refresh();
+        }
+      });
+    })
+    .catch((error) => {
+      // The page keeps working, just unfiltered
+      console.error("Error starting ChannelGuardYT on this page:", error);
+    });
 }
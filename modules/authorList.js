@@ -0,0 +1,94 @@
+import { describeAuthor } from "./channelUtils.js";
+
+/**
+ * How many blocked authors the popup shows per page.
+ */
+export const AUTHORS_PAGE_SIZE = 50;
+
+/**
+ * How long a removal of blocked authors can be undone, in milliseconds: as long as the
+ * notification offering it stays visible (see `showToast` in notifications.js).
+ */
+export const REMOVAL_UNDO_DELAY = 8000;
+
+/**
+ * The orders the popup can show the block list in. The first one is the default. Record
+ * keys are generated in increasing order, so they tell the order entries were added in.
+ */
+export const AUTHOR_SORTS = [
+  { id: "newest", label: "Newest first" },
+  { id: "oldest", label: "Oldest first" },
+  { id: "nameAsc", label: "Name A–Z" },
+  { id: "nameDesc", label: "Name Z–A" },
+];
+
+/**
+ * Keeps the authors whose name, display name, @handle or channel ID contains the query,
+ * ignoring case. An empty query keeps every author.
+ *
+ * @param {Array<Object>} authors - The author records.
+ * @param {string} query - The text typed into the search field.
+ * @returns {Array<Object>} The matching authors, in their original order.
+ */
+export const filterAuthors = (authors, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return authors;
+  }
+  return authors.filter((author) =>
+    [
+      describeAuthor(author),
+      author.name,
+      author.displayName,
+      author.handle,
+      author.channelId,
+    ].some((text) => text && text.toLowerCase().includes(needle))
+  );
+};
+
+/**
+ * Sorts authors in one of the `AUTHOR_SORTS` orders.
+ *
+ * @param {Array<Object>} authors - The author records.
+ * @param {string} sortId - The id of the order, e.g. "nameAsc".
+ * @returns {Array<Object>} A sorted copy of the authors.
+ */
+export const sortAuthors = (authors, sortId) => {
+  // "@handle" entries sort among the names instead of before all of them
+  const sortName = (author) => describeAuthor(author).replace(/^@/, "");
+  const byName = (first, second) =>
+    sortName(first).localeCompare(sortName(second), undefined, {
+      sensitivity: "base",
+    });
+  const sorted = [...authors];
+  switch (sortId) {
+    case "oldest":
+      return sorted.sort((first, second) => first.id - second.id);
+    case "nameAsc":
+      return sorted.sort(byName);
+    case "nameDesc":
+      return sorted.sort((first, second) => byName(second, first));
+    default:
+      return sorted.sort((first, second) => second.id - first.id);
+  }
+};
+
+/**
+ * Cuts one page out of a list, keeping the page number within the pages that exist, e.g.
+ * after the last entries of the last page were removed.
+ *
+ * @param {Array} items - The items to page through.
+ * @param {number} page - The wanted page, starting at 0.
+ * @param {number} [pageSize=AUTHORS_PAGE_SIZE] - The number of items per page.
+ * @returns {{items: Array, page: number, pageCount: number}} The items of the page, the
+ *          page actually shown and the number of pages (at least 1).
+ */
+export const paginate = (items, page, pageSize = AUTHORS_PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const shownPage = Math.min(Math.max(page, 0), pageCount - 1);
+  return {
+    items: items.slice(shownPage * pageSize, (shownPage + 1) * pageSize),
+    page: shownPage,
+    pageCount,
+  };
+};
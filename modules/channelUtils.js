@@ -0,0 +1,102 @@
+/**
+ * Matches the channel ID path segment of a YouTube channel URL ("/channel/UC…").
+ * Channel IDs are always "UC" followed by 22 URL-safe base64 characters.
+ */
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+/**
+ * Extracts the stable channel identifiers (channel ID and/or @handle) from a
+ * YouTube URL or path such as "/channel/UC…", "/@handle" or a full channel URL.
+ *
+ * @param {string} href - The URL or path pointing to a YouTube channel.
+ * @returns {{channelId?: string, handle?: string}} An object containing the identifiers
+ *          that could be resolved. Handles are lowercased because YouTube treats them
+ *          case-insensitively; channel IDs are kept as-is.
+ */
+export const parseChannelHref = (href) => {
+  const identifiers = {};
+  if (!href) {
+    return identifiers;
+  }
+
+  // A malformed URL or a broken "%" escape in the handle resolves no identifier instead
+  // of throwing, e.g. in the middle of filtering a page
+  try {
+    const path = new URL(href, "https://www.youtube.com").pathname;
+
+    const channelMatch = path.match(/^\/channel\/([^/]+)/);
+    if (channelMatch && CHANNEL_ID_PATTERN.test(channelMatch[1])) {
+      identifiers.channelId = channelMatch[1];
+    }
+
+    const handleMatch = path.match(/^\/(@[^/]+)/);
+    if (handleMatch) {
+      identifiers.handle = decodeURIComponent(handleMatch[1]).toLowerCase();
+    }
+  } catch (error) {
+    return {};
+  }
+
+  return identifiers;
+};
+
+/**
+ * Parses free-form user input from the popup into an author record.
+ *
+ * The input may be a display name, an @handle, a raw channel ID or a channel URL.
+ * A display name is stored as the record's `name`, matched against the channel names on
+ * the page. A channel ID or @handle is stored as such, but not as the name: channel
+ * names never look like one, and the record is matched by the identifier instead, even
+ * after the channel is renamed.
+ *
+ * @param {string} input - The text entered by the user.
+ * @returns {{name?: string, displayName: string, channelId?: string, handle?: string}}
+ *          The author record to be stored. `name` is lowercased for case-insensitive matching.
+ */
+export const parseChannelReference = (input) => {
+  const value = input.trim();
+  let identifiers = {};
+
+  if (CHANNEL_ID_PATTERN.test(value)) {
+    identifiers = { channelId: value };
+  } else if (value.startsWith("@") && !/\s/.test(value)) {
+    identifiers = { handle: value.toLowerCase() };
+  } else if (/(^|\/\/|\.)youtube\.com\//i.test(value)) {
+    const url = /^[a-z]+:\/\//i.test(value) ? value : `https://${value}`;
+    identifiers = parseChannelHref(url);
+  }
+
+  if (!identifiers.channelId && !identifiers.handle) {
+    return { name: value.toLowerCase(), displayName: value };
+  }
+  return {
+    displayName: identifiers.handle || identifiers.channelId,
+    ...identifiers,
+  };
+};
+
+/**
+ * Builds the label shown for an author record in the popup. Exact records combine the
+ * display name with the identifier the record is matched by; pattern records show
+ * their match mode.
+ *
+ * @param {Object} author - The author record from the "blockedAuthors" object store.
+ * @returns {string} A human readable label for the record.
+ */
+export const describeAuthor = (author) => {
+  switch (author.matchMode) {
+    case "contains":
+      return `contains "${author.name}"`;
+    case "prefix":
+      return `starts with "${author.name}"`;
+    case "regex":
+      return `/${author.name}/i`;
+  }
+
+  const label =
+    author.displayName || author.name || author.handle || author.channelId;
+  const identifier = author.handle || author.channelId;
+  return identifier && identifier.toLowerCase() !== label.toLowerCase()
+    ? `${label} (${identifier})`
+    : label;
+};
@@ -0,0 +1,130 @@
+import { PROTOCOL_VERSION } from "./messageProtocol.js";
+
+/**
+ * Sends a request to the background service worker, which owns all database access.
+ *
+ * Every request is answered with `{ ok: true, data }` or `{ ok: false, error }`, where
+ * `error` is `{ code, message }` (see `ERROR_CODES` in messageProtocol.js). This function
+ * unwraps the response, so callers handle failures like any rejected promise.
+ *
+ * @param {string} action - The action, e.g. "authors.list".
+ * @param {Object} [params={}] - The parameters of the action.
+ * @returns {Promise<*>} A promise that resolves to the response's `data`.
+ * @rejects {Error} With the error's message and its `code`, if the request failed.
+ */
+export const request = async (action, params = {}) => {
+  const response = await chrome.runtime.sendMessage({
+    version: PROTOCOL_VERSION,
+    action,
+    params,
+  });
+  if (!response) {
+    throw new Error("The background service did not respond.");
+  }
+  if (!response.ok) {
+    const error = new Error(response.error.message);
+    error.code = response.error.code;
+    throw error;
+  }
+  return response.data;
+};
+
+// Blocked authors
+
+export const getAuthors = () => request("authors.list");
+export const addAuthor = (author) => request("authors.add", { author });
+export const addAuthors = (authors) => request("authors.addMany", { authors });
+export const replaceAuthors = (authors) =>
+  request("authors.replace", { authors });
+export const updateAuthor = (id, changes) =>
+  request("authors.update", { id, changes });
+export const setAuthorSchedule = (id, schedule) =>
+  request("authors.setSchedule", { id, schedule });
+export const deleteAuthor = (id) => request("authors.delete", { id });
+export const deleteAuthors = (ids) => request("authors.deleteMany", { ids });
+export const removeAuthorsLater = (ids) =>
+  request("authors.removeLater", { ids });
+export const cancelAuthorsRemoval = (removalId) =>
+  request("authors.cancelRemoval", { removalId });
+export const clearAuthors = () => request("authors.clear");
+
+// Block lists
+
+export const getLists = () => request("lists.list");
+export const addList = (name) => request("lists.add", { name });
+export const renameList = (id, name) => request("lists.rename", { id, name });
+export const setListEnabled = (id, enabled) =>
+  request("lists.setEnabled", { id, enabled });
+export const setListSchedule = (id, schedule) =>
+  request("lists.setSchedule", { id, schedule });
+export const deleteList = (id) => request("lists.delete", { id });
+
+// Title rules
+
+export const getTitleRules = () => request("titleRules.list");
+export const addTitleRule = (pattern, mode) =>
+  request("titleRules.add", { pattern, mode });
+export const deleteTitleRule = (id) => request("titleRules.delete", { id });
+
+// Approved channels of the allow-list mode
+
+export const getAllowedAuthors = () => request("allowedAuthors.list");
+export const addAllowedAuthor = (author) =>
+  request("allowedAuthors.add", { author });
+export const deleteAllowedAuthor = (id) =>
+  request("allowedAuthors.delete", { id });
+
+// Settings and statistics
+
+export const getSetting = (id, defaultValue) =>
+  request("settings.get", { id, defaultValue });
+export const setSetting = (id, value) => request("settings.set", { id, value });
+export const getStats = () => request("stats.list");
+export const countHiddenOnDay = (day) => request("stats.countDay", { day });
+export const pruneStats = (oldestDay) => request("stats.prune", { oldestDay });
+export const clearStats = () => request("stats.clear");
+
+// PINs and recovery codes
+
+export const isPINSet = () => request("pin.isSet");
+export const setPIN = (pin) => request("pin.set", { pin });
+export const verifyPIN = (pin) => request("pin.verify", { pin });
+export const updatePIN = (oldPIN, newPIN) =>
+  request("pin.update", { oldPIN, newPIN });
+export const createRecoveryCodes = () => request("pin.createRecoveryCodes");
+export const verifyRecoveryCode = (code) =>
+  request("pin.verifyRecoveryCode", { code });
+export const resetPINWithRecoveryCode = (code, newPIN) =>
+  request("pin.resetWithRecoveryCode", { code, newPIN });
+export const isViewerPINSet = () => request("pin.isViewerSet");
+export const setViewerPIN = (pin) => request("pin.setViewer", { pin });
+export const removeViewerPIN = () => request("pin.removeViewer");
+
+// Unblock requests and the audit log
+
+export const getUnblockRequests = () => request("unblockRequests.list");
+export const addUnblockRequest = (unblockRequest) =>
+  request("unblockRequests.add", { request: unblockRequest });
+export const approveUnblockRequest = (id) =>
+  request("unblockRequests.approve", { id });
+export const denyUnblockRequest = (id) =>
+  request("unblockRequests.deny", { id });
+export const getAuditLog = () => request("auditLog.list");
+
+// The unlock session shared by the popup and the in-page controls
+
+export const unlock = (pin, role) => request("session.unlock", { pin, role });
+export const getSession = () => request("session.get");
+export const lock = () => request("session.lock");
+
+// The content script's requests
+
+export const fetchContentRules = () => request("content.fetch");
+export const upgradeAuthor = (id, identifiers) =>
+  request("content.upgradeAuthor", { id, ...identifiers });
+export const blockChannel = (channel, pin) =>
+  request("content.blockChannel", { channel, pin });
+export const requestUnblock = (channel, authorId) =>
+  request("content.requestUnblock", { channel, authorId });
+export const recordHiddenItems = (items) =>
+  request("content.recordHiddenItems", { items });
@@ -0,0 +1,330 @@
+/**
+ * The data service of the background service worker. It answers the requests of the
+ * popup and the content scripts (see dataClient.js), so the database is only ever opened
+ * by the background script.
+ */
+import {
+  addAuthor,
+  addAuthors,
+  replaceAuthors,
+  updateAuthor,
+  setAuthorSchedule,
+  getAuthors,
+  deleteAuthor,
+  deleteAuthors,
+  clearAuthors,
+  getLists,
+  addList,
+  renameList,
+  setListEnabled,
+  setListSchedule,
+  deleteList,
+  addTitleRule,
+  getTitleRules,
+  deleteTitleRule,
+  addAllowedAuthor,
+  getAllowedAuthors,
+  deleteAllowedAuthor,
+  getStats,
+  countHiddenOnDay,
+  pruneStats,
+  clearStats,
+  USER_SETTINGS,
+  getSetting,
+  setSetting,
+  isPINSet,
+  setPIN,
+  verifyPIN,
+  updatePIN,
+  createRecoveryCodes,
+  verifyRecoveryCode,
+  resetPINWithRecoveryCode,
+  isViewerPINSet,
+  setViewerPIN,
+  removeViewerPIN,
+  getUnblockRequests,
+  addUnblockRequest,
+  approveUnblockRequest,
+  denyUnblockRequest,
+  getAuditLog,
+} from "./indexedDBService.js";
+import {
+  ERROR_CODES,
+  PROTOCOL_VERSION,
+  createError,
+} from "./messageProtocol.js";
+
+/**
+ * The roles of an unlock session that may request an action. Most actions change or
+ * reveal the block list, the settings or the PINs and need the admin; the viewer mode
+ * may also count today's hidden items and file and list unblock requests. It can't read
+ * the statistics themselves, which name the hidden channels.
+ */
+export const ADMIN = ["admin"];
+export const UNLOCKED = ["admin", "viewer"];
+
+/**
+ * Makes sure a request only reads or changes one of the `USER_SETTINGS`, and not e.g. the
+ * PIN hash or the PIN lockout, which are settings records as well.
+ *
+ * @param {string} id - The requested setting's key.
+ * @throws {Error} With the "invalid" code for any other key.
+ */
+const checkUserSetting = (id) => {
+  if (!USER_SETTINGS.includes(id)) {
+    throw createError(ERROR_CODES.invalid, `Unknown setting: ${id}`);
+  }
+};
+
+/**
+ * The database actions, by name. Each action's `handler` receives the request's `params`
+ * and a `context` with the `source` of the request ("popup" or "in-page", see
+ * `AUDIT_SOURCES`), and returns the response's data or a promise of it. Actions with
+ * `fromTabs` may be requested by the content scripts; all others only by the popup, so a
+ * YouTube page can't change the block list or the PIN. Actions with `roles` are only
+ * answered during an unlock session of one of those roles (see `createMessageHandler`);
+ * the others are used before unlocking, e.g. to set the first PIN or to reset it with a
+ * recovery code, and check the PIN or code they are given themselves.
+ */
+export const DATA_ACTIONS = {
+  "authors.list": { roles: ADMIN, handler: () => getAuthors() },
+  "authors.add": {
+    roles: ADMIN,
+    handler: ({ author }, { source }) => addAuthor(author, source),
+  },
+  "authors.addMany": {
+    roles: ADMIN,
+    handler: ({ authors }, { source }) => addAuthors(authors, source),
+  },
+  "authors.replace": {
+    roles: ADMIN,
+    handler: ({ authors }, { source }) => replaceAuthors(authors, source),
+  },
+  "authors.update": {
+    roles: ADMIN,
+    handler: ({ id, changes }, { source }) => updateAuthor(id, changes, source),
+  },
+  "authors.setSchedule": {
+    roles: ADMIN,
+    handler: ({ id, schedule }, { source }) =>
+      setAuthorSchedule(id, schedule, source),
+  },
+  "authors.delete": {
+    roles: ADMIN,
+    handler: ({ id }, { source }) => deleteAuthor(id, source),
+  },
+  "authors.deleteMany": {
+    roles: ADMIN,
+    handler: ({ ids }, { source }) => deleteAuthors(ids, source),
+  },
+  "authors.clear": {
+    roles: ADMIN,
+    handler: (params, { source }) => clearAuthors(source),
+  },
+
+  "lists.list": { roles: ADMIN, handler: () => getLists() },
+  "lists.add": { roles: ADMIN, handler: ({ name }) => addList(name) },
+  "lists.rename": {
+    roles: ADMIN,
+    handler: ({ id, name }) => renameList(id, name),
+  },
+  "lists.setEnabled": {
+    roles: ADMIN,
+    handler: ({ id, enabled }) => setListEnabled(id, enabled),
+  },
+  "lists.setSchedule": {
+    roles: ADMIN,
+    handler: ({ id, schedule }) => setListSchedule(id, schedule),
+  },
+  "lists.delete": {
+    roles: ADMIN,
+    handler: ({ id }, { source }) => deleteList(id, source),
+  },
+
+  "titleRules.list": { roles: ADMIN, handler: () => getTitleRules() },
+  "titleRules.add": {
+    roles: ADMIN,
+    handler: ({ pattern, mode }) => addTitleRule(pattern, mode),
+  },
+  "titleRules.delete": {
+    roles: ADMIN,
+    handler: ({ id }) => deleteTitleRule(id),
+  },
+
+  "allowedAuthors.list": { roles: ADMIN, handler: () => getAllowedAuthors() },
+  "allowedAuthors.add": {
+    roles: ADMIN,
+    handler: ({ author }, { source }) => addAllowedAuthor(author, source),
+  },
+  "allowedAuthors.delete": {
+    roles: ADMIN,
+    handler: ({ id }, { source }) => deleteAllowedAuthor(id, source),
+  },
+
+  "settings.get": {
+    roles: ADMIN,
+    handler: ({ id, defaultValue }) => {
+      checkUserSetting(id);
+      return getSetting(id, defaultValue);
+    },
+  },
+  "settings.set": {
+    roles: ADMIN,
+    handler: ({ id, value }) => {
+      checkUserSetting(id);
+      return setSetting(id, value);
+    },
+  },
+
+  "stats.list": { roles: ADMIN, handler: () => getStats() },
+  "stats.countDay": {
+    roles: UNLOCKED,
+    handler: ({ day }) => countHiddenOnDay(day),
+  },
+  "stats.prune": {
+    roles: ADMIN,
+    handler: ({ oldestDay }) => pruneStats(oldestDay),
+  },
+  "stats.clear": { roles: ADMIN, handler: () => clearStats() },
+
+  "pin.isSet": { handler: () => isPINSet() },
+  "pin.set": { handler: ({ pin }, { source }) => setPIN(pin, source) },
+  "pin.verify": { handler: ({ pin }) => verifyPIN(pin) },
+  "pin.update": {
+    handler: ({ oldPIN, newPIN }, { source }) =>
+      updatePIN(oldPIN, newPIN, source),
+  },
+  "pin.createRecoveryCodes": {
+    roles: ADMIN,
+    handler: (params, { source }) => createRecoveryCodes(source),
+  },
+  "pin.verifyRecoveryCode": {
+    handler: ({ code }) => verifyRecoveryCode(code),
+  },
+  "pin.resetWithRecoveryCode": {
+    handler: ({ code, newPIN }, { source }) =>
+      resetPINWithRecoveryCode(code, newPIN, source),
+  },
+  "pin.isViewerSet": { roles: ADMIN, handler: () => isViewerPINSet() },
+  "pin.setViewer": {
+    roles: ADMIN,
+    handler: ({ pin }, { source }) => setViewerPIN(pin, source),
+  },
+  "pin.removeViewer": {
+    roles: ADMIN,
+    handler: (params, { source }) => removeViewerPIN(source),
+  },
+
+  "unblockRequests.list": {
+    roles: UNLOCKED,
+    handler: () => getUnblockRequests(),
+  },
+  "unblockRequests.add": {
+    roles: UNLOCKED,
+    handler: ({ request }, { source }) => addUnblockRequest(request, source),
+  },
+  "unblockRequests.approve": {
+    roles: ADMIN,
+    handler: ({ id }) => approveUnblockRequest(id),
+  },
+  "unblockRequests.deny": {
+    roles: ADMIN,
+    handler: ({ id }) => denyUnblockRequest(id),
+  },
+
+  "auditLog.list": { roles: ADMIN, handler: () => getAuditLog() },
+};
+
+/**
+ * Tells which of the `ERROR_CODES` describes an error thrown by an action: the code of an
+ * error made with `createError`, "storage" for the exceptions of IndexedDB itself, and
+ * "failed" for anything else.
+ *
+ * @param {Error} error - The error.
+ * @returns {string} The error code.
+ */
+const toErrorCode = (error) => {
+  // DOMExceptions have a numeric legacy `code` of their own
+  if (typeof error.code === "string") {
+    return error.code;
+  }
+  return error instanceof DOMException
+    ? ERROR_CODES.storage
+    : ERROR_CODES.failed;
+};
+
+/**
+ * Runs a request against the actions and builds its response.
+ *
+ * @param {Object<string, {handler: Function, fromTabs?: boolean, roles?: Array<string>}>} actions -
+ *        The actions.
+ * @param {function(): Promise<string|null>} getSessionRole - Reads the role of the
+ *        active unlock session, see `createMessageHandler`.
+ * @param {{version: number, action: string, params?: Object}} message - The request.
+ * @param {Object} sender - The sender of the request, as passed to `onMessage`.
+ * @returns {Promise<{ok: boolean, data?: *, error?: {code: string, message: string}}>}
+ *          A promise that resolves to the response; it is never rejected.
+ */
+const handleRequest = async (actions, getSessionRole, message = {}, sender) => {
+  const fail = (code, errorMessage) => ({
+    ok: false,
+    error: { code, message: errorMessage },
+  });
+
+  if (message.version !== PROTOCOL_VERSION) {
+    return fail(
+      ERROR_CODES.unsupportedVersion,
+      "ChannelGuardYT was updated. Reload the page or reopen the popup."
+    );
+  }
+  const action = Object.hasOwn(actions, message.action)
+    ? actions[message.action]
+    : null;
+  if (!action) {
+    return fail(ERROR_CODES.unknownAction, `Unknown action: ${message.action}`);
+  }
+  if (sender.tab && !action.fromTabs) {
+    return fail(
+      ERROR_CODES.forbidden,
+      "This action can only be used in the ChannelGuardYT popup."
+    );
+  }
+
+  try {
+    if (action.roles && !action.roles.includes(await getSessionRole())) {
+      return fail(
+        ERROR_CODES.locked,
+        action.roles.includes("viewer")
+          ? "ChannelGuardYT is locked. Enter your PIN first."
+          : "ChannelGuardYT is locked. Enter the admin PIN first."
+      );
+    }
+    const context = { source: sender.tab ? "in-page" : "popup", sender };
+    const data = await action.handler(message.params || {}, context);
+    return { ok: true, data };
+  } catch (error) {
+    console.error(`Error handling ${message.action}:`, error);
+    return fail(toErrorCode(error), error.message || String(error));
+  }
+};
+
+/**
+ * Creates the `chrome.runtime.onMessage` listener that answers the requests of the
+ * message protocol with the given actions. Every message gets a response, so requests
+ * without the current protocol version (e.g. from a content script injected before an
+ * update) fail with "unsupported_version" instead of never being answered, and requests
+ * for an action with `roles` fail with "locked" unless the session was unlocked with one
+ * of them. The popup hides its views behind the PIN as well, but only this check keeps
+ * other extension pages from changing the block list or the PIN.
+ *
+ * @param {Object<string, {handler: Function, fromTabs?: boolean, roles?: Array<string>}>} actions -
+ *        The actions, shaped like `DATA_ACTIONS`.
+ * @param {function(): Promise<string|null>} getSessionRole - Reads the role of the
+ *        active unlock session ("admin" or "viewer"), or `null` while locked.
+ * @returns {function(Object, Object, function): boolean} The listener.
+ */
+export const createMessageHandler =
+  (actions, getSessionRole) => (message, sender, sendResponse) => {
+    handleRequest(actions, getSessionRole, message, sender).then(sendResponse);
+    return true; // Indicates asynchronous response.
+  };
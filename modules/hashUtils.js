@@ -19,3 +19,72 @@ export const hashString = async (input) => {
 
   return hashedString;
 };
+
+/**
+ * Converts bytes to a lowercase hexadecimal string.
+ *
+ * @param {ArrayBuffer|Uint8Array} bytes - The bytes to convert.
+ * @returns {string} The hexadecimal string.
+ */
+const toHex = (bytes) =>
+  Array.from(new Uint8Array(bytes))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+/**
+ * Generates a random salt for `deriveKeyHash`.
+ *
+ * @returns {string} 16 random bytes as a hexadecimal string.
+ */
+export const generateSalt = () =>
+  toHex(crypto.getRandomValues(new Uint8Array(16)));
+
+/**
+ * Derives a slow, salted hash from a secret such as the PIN using PBKDF2 with SHA-256.
+ * A PIN has only a million possible values, so the hash has to be expensive to compute
+ * to make trying all of them impractical.
+ *
+ * @param {string} input - The secret to hash.
+ * @param {string} salt - The salt, see `generateSalt`.
+ * @param {number} iterations - The number of PBKDF2 iterations.
+ * @returns {Promise<string>} A promise that resolves with the 256-bit hash as a hexadecimal string.
+ */
+export const deriveKeyHash = async (input, salt, iterations) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(input),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  const bits = await crypto.subtle.deriveBits(
+    {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      salt: new TextEncoder().encode(salt),
+      iterations,
+    },
+    key,
+    256
+  );
+  return toHex(bits);
+};
+
+/**
+ * The characters recovery codes are made of: upper-case letters and digits without the
+ * easily confused 0, O, 1 and I.
+ */
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generates a random one-time recovery code such as "K7QX2-MWP9D" (50 bits).
+ *
+ * @returns {string} The recovery code.
+ */
+export const generateRecoveryCode = () => {
+  const characters = Array.from(
+    crypto.getRandomValues(new Uint8Array(10)),
+    (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]
+  ).join("");
+  return `${characters.slice(0, 5)}-${characters.slice(5)}`;
+};
@@ -0,0 +1,243 @@
+import { createAuthorRecord, isSameAuthor } from "./indexedDBService.js";
+
+/**
+ * Identifies ChannelGuardYT block list exports and the version of their layout.
+ * The version is bumped whenever the exported fields change incompatibly; imports
+ * from newer versions are refused rather than half-understood.
+ */
+const EXPORT_FORMAT = "channelguardyt-blocklist";
+const EXPORT_VERSION = 1;
+
+/**
+ * The author fields written to and read from export files, in CSV column order.
+ */
+const AUTHOR_FIELDS = [
+  "name",
+  "displayName",
+  "matchMode",
+  "channelId",
+  "handle",
+];
+
+/**
+ * Copies only the exportable fields of an author record, dropping the local `id`.
+ *
+ * @param {Object} author - The author record.
+ * @returns {Object} The portable author entry.
+ */
+const toPortableAuthor = (author) => {
+  const entry = {};
+  AUTHOR_FIELDS.forEach((field) => {
+    if (author[field]) {
+      entry[field] = author[field];
+    }
+  });
+  return entry;
+};
+
+/**
+ * Serializes the block list to the versioned JSON export format. The audit log is
+ * included for the record only; imports read nothing but the authors.
+ *
+ * @param {Array<Object>} authors - The author records from the "blockedAuthors" object store.
+ * @param {Array<Object>} [auditLog=[]] - The entries of the "auditLog" object store.
+ * @returns {string} The JSON document.
+ */
+export const exportAuthorsJSON = (authors, auditLog = []) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      authors: authors.map(toPortableAuthor),
+      auditLog: auditLog.map(({ timestamp, action, entry, source }) => ({
+        time: new Date(timestamp).toISOString(),
+        action,
+        entry,
+        source,
+      })),
+    },
+    null,
+    2
+  );
+
+/**
+ * Quotes a CSV field when it contains a separator, a quote or a line break.
+ *
+ * @param {string} value - The field value.
+ * @returns {string} The escaped field.
+ */
+const escapeCSVField = (value = "") =>
+  /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+/**
+ * Serializes the block list to CSV, with a header row naming the columns.
+ *
+ * @param {Array<Object>} authors - The author records from the "blockedAuthors" object store.
+ * @returns {string} The CSV document.
+ */
+export const exportAuthorsCSV = (authors) => {
+  const rows = authors.map((author) => {
+    const entry = toPortableAuthor(author);
+    return AUTHOR_FIELDS.map((field) => escapeCSVField(entry[field])).join(",");
+  });
+  return [AUTHOR_FIELDS.join(","), ...rows].join("\r\n");
+};
+
+/**
+ * Splits CSV text into rows of fields, honouring quoted fields with embedded
+ * separators, quotes and line breaks. Blank lines are skipped.
+ *
+ * @param {string} text - The CSV document.
+ * @returns {Array<Array<string>>} The rows.
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim()));
+};
+
+/**
+ * Reads author entries from CSV. With a header row containing a "name" column, the
+ * known columns are read by name; without one, every row's first column is taken as
+ * an exact channel name, so a plain list of names can be imported too.
+ *
+ * @param {string} text - The CSV document.
+ * @returns {Array<Object>} The author entries.
+ */
+const parseAuthorsCSV = (text) => {
+  const rows = parseCSVRows(text);
+  if (!rows.length) {
+    return [];
+  }
+
+  const header = rows[0].map((value) => value.trim());
+  if (!header.includes("name")) {
+    return rows.map((fields) => ({ name: fields[0] }));
+  }
+
+  return rows.slice(1).map((fields) => {
+    const entry = {};
+    header.forEach((column, index) => {
+      const value = (fields[index] || "").trim();
+      if (AUTHOR_FIELDS.includes(column) && value) {
+        entry[column] = value;
+      }
+    });
+    return entry;
+  });
+};
+
+/**
+ * Reads author entries from the versioned JSON export format.
+ *
+ * @param {string} text - The JSON document.
+ * @returns {Array<Object>} The author entries.
+ * @throws {Error} If the document is not a ChannelGuardYT export or is from a newer version.
+ */
+const parseAuthorsJSON = (text) => {
+  const data = JSON.parse(text);
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.authors)) {
+    throw new Error("This file is not a ChannelGuardYT block list export.");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(
+      `This export was made by a newer version of ChannelGuardYT (format version ${data.version}).`
+    );
+  }
+  return data.authors;
+};
+
+/**
+ * Parses an import file. Files ending in ".json", or whose content starts with "{",
+ * are read as JSON; everything else as CSV.
+ *
+ * @param {string} text - The file content.
+ * @param {string} [fileName=""] - The file name, used to pick the format.
+ * @returns {Array<Object>} The author entries found in the file, not yet validated.
+ * @throws {Error} If the file cannot be parsed.
+ */
+export const parseAuthorsImport = (text, fileName = "") => {
+  const isJSON =
+    fileName.toLowerCase().endsWith(".json") || text.trim().startsWith("{");
+  try {
+    return isJSON ? parseAuthorsJSON(text) : parseAuthorsCSV(text);
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(`Invalid JSON file: ${error.message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Works out what importing the given entries would do, without writing anything.
+ *
+ * Every entry is validated with `createAuthorRecord` and deduplicated with `isSameAuthor`,
+ * the same rules `authorExists` applies. In "merge" mode entries already on the block list
+ * are skipped; in "replace" mode the current list will be cleared, so only duplicates
+ * within the file are skipped.
+ *
+ * @param {Array<Object>} entries - The entries returned by `parseAuthorsImport`.
+ * @param {Array<Object>} existingAuthors - The current block list.
+ * @param {string} mode - Either "merge" or "replace".
+ * @returns {{added: Array<Object>, skipped: Array<Object>, rejected: Array<{entry: Object, reason: string}>}}
+ *          The entries to add, the duplicates to skip and the invalid entries with the reason.
+ */
+export const planAuthorsImport = (entries, existingAuthors, mode) => {
+  const plan = { added: [], skipped: [], rejected: [] };
+  const known = mode === "replace" ? [] : [...existingAuthors];
+
+  entries.forEach((entry) => {
+    let record;
+    try {
+      record = createAuthorRecord(entry);
+    } catch (error) {
+      plan.rejected.push({ entry, reason: error.message });
+      return;
+    }
+
+    if (known.some((author) => isSameAuthor(author, record))) {
+      plan.skipped.push(record);
+      return;
+    }
+    known.push(record);
+    plan.added.push(record);
+  });
+
+  return plan;
+};
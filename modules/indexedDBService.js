@@ -1,4 +1,20 @@
-import { hashString } from "./hashUtils.js";
+import {
+  deriveKeyHash,
+  generateRecoveryCode,
+  generateSalt,
+  hashString,
+} from "./hashUtils.js";
+import { validateSchedule } from "./schedule.js";
+import {
+  COMMENT_HIDE_STYLE_SETTING,
+  FILTER_MODE_SETTING,
+  FILTER_MODES,
+  HIDE_STYLE_SETTING,
+  SURFACES_SETTING,
+} from "./surfaces.js";
+import { STATS_RETENTION_SETTING } from "./stats.js";
+import { LOCK_TIMEOUT_SETTING } from "./session.js";
+import { ERROR_CODES, createError } from "./messageProtocol.js";
 /**
  * Global variable to hold the instance of the IndexedDB database.
  * This variable is used to maintain a single instance of the database
@@ -8,12 +24,293 @@ import { hashString } from "./hashUtils.js";
 let db;
 
 /**
- * Opens the IndexedDB database or initializes it if it doesn't exist.
- * If the database connection is already open, resolves immediately with the existing db instance.
- * If the database needs to be upgraded, creates necessary object stores.
+ * The key of the block list created with the "lists" object store. Entries that existed
+ * before named lists were introduced are moved into it.
+ */
+const DEFAULT_LIST_ID = 1;
+
+/**
+ * Called after the block list (authors, lists or title rules) changed. Only the
+ * background script opens the database, and it sets this via `setBlockListChangedHandler`
+ * to broadcast the change to the open YouTube tabs.
+ */
+let blockListChangedHandler = () => {};
+
+/**
+ * Replaces the function called whenever a function of this module changes the block list,
+ * e.g. `addAuthor`, `deleteAuthor`, `clearAuthors`, `setListEnabled` or `addTitleRule`.
+ *
+ * @param {Function} handler - The function to call after each change. Takes no parameters.
+ */
+const setBlockListChangedHandler = (handler) => {
+  blockListChangedHandler = handler;
+};
+
+/**
+ * Creates an object store unless a database from before the migration framework already
+ * has it (those created their stores whenever they were missing).
+ *
+ * @param {IDBDatabase} db - The database being upgraded.
+ * @param {IDBTransaction} transaction - The upgrade transaction.
+ * @param {string} name - The name of the object store.
+ * @param {IDBObjectStoreParameters} options - The key path and key generator.
+ * @returns {IDBObjectStore} The new or existing object store.
+ */
+const ensureObjectStore = (db, transaction, name, options) =>
+  db.objectStoreNames.contains(name)
+    ? transaction.objectStore(name)
+    : db.createObjectStore(name, options);
+
+/**
+ * Visits every record of an object store with a cursor, e.g. to change the shape of the
+ * stored records in a migration.
+ *
+ * @param {IDBObjectStore} store - The object store.
+ * @param {function(IDBCursorWithValue): void} visit - Called with the cursor on each
+ *        record; the cursor is continued afterwards.
+ * @returns {Promise<void>} A promise that resolves after the last record.
+ * @rejects {Error} If the cursor can't be opened or moved, or `visit` throws.
+ */
+const forEachRecord = (store, visit) =>
+  new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      try {
+        visit(cursor);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Builds the normalized key that identifies an author entry, following the uniqueness
+ * rules of `isSameAuthor`: the channel ID, else the @handle, else the match mode together
+ * with the normalized name pattern. It is stored as `authorKey` on every record of the
+ * "blockedAuthors" and "allowedAuthors" object stores, which have a unique index on it.
+ *
+ * @param {Object} author - The author entry or record.
+ * @returns {string} The key, e.g. "channel:UC…", "handle:@name" or "exact:name".
+ */
+const toAuthorKey = (author) => {
+  if (author.channelId) {
+    return `channel:${author.channelId}`;
+  }
+  if (author.handle) {
+    return `handle:${author.handle.toLowerCase()}`;
+  }
+  const mode = author.matchMode || "exact";
+  return `${mode}:${normalizeAuthorPattern(author.name, mode)}`;
+};
+
+/**
+ * Adds `authorKey` to every record of an author object store and merges records that
+ * describe the same author (see `isSameAuthor`), which earlier versions could store twice,
+ * e.g. when two name-only records were upgraded to the same channel. The oldest record is
+ * kept and gains the block lists of the ones merged into it. Then the unique indexes are
+ * created, which would abort the upgrade on a remaining duplicate.
+ *
+ * @param {IDBObjectStore} store - The "blockedAuthors" or "allowedAuthors" object store.
+ * @returns {Promise<void>} A promise that resolves once the indexes have been created.
+ */
+const addAuthorKeyIndexes = async (store) => {
+  const kept = [];
+  await forEachRecord(store, (cursor) => {
+    const record = { ...cursor.value, authorKey: toAuthorKey(cursor.value) };
+    if (record.handle) {
+      record.handle = record.handle.toLowerCase();
+    }
+    const original = kept.find((keptRecord) =>
+      isSameAuthor(keptRecord, record)
+    );
+    if (original) {
+      if (record.listIds) {
+        original.listIds = [
+          ...new Set([...(original.listIds || []), ...record.listIds]),
+        ];
+        store.put(original);
+      }
+      cursor.delete();
+    } else {
+      kept.push(record);
+      cursor.update(record);
+    }
+  });
+  store.createIndex("authorKey", "authorKey", { unique: true });
+  store.createIndex("channelId", "channelId", { unique: true });
+  store.createIndex("handle", "handle", { unique: true });
+};
+
+/**
+ * The schema migrations of "channelGuardDB", in order. The database's version is the
+ * version of the last migration; when it is opened with an older version, the migrations
+ * after that version run one after the other in the upgrade transaction, so a database
+ * from any earlier version of the extension is brought up to date, and a failing
+ * migration leaves it untouched. A migration that reads or rewrites records returns a
+ * promise, and the next one only starts once it has resolved.
+ *
+ * Version 1 was never released; the original extension created version 2. Versions 3 to 8
+ * each added an object store (see the descriptions), version 9 is the first with
+ * indexes on the block list, and version 10 changes the shape of identifier-only entries.
+ *
+ * To change the schema or the shape of stored records, append a migration with the next
+ * version. Never edit a released migration: databases that already ran it won't run it
+ * again.
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: "Blocked authors and settings (including the PIN)",
+    migrate: (db, transaction) => {
+      ensureObjectStore(db, transaction, "blockedAuthors", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      ensureObjectStore(db, transaction, "settings", { keyPath: "id" });
+    },
+  },
+  {
+    version: 3,
+    description: "Title keyword and regex rules",
+    migrate: (db, transaction) => {
+      ensureObjectStore(db, transaction, "titleRules", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    },
+  },
+  {
+    version: 4,
+    description:
+      "Named block lists, with a default list every existing author is moved into",
+    migrate: (db, transaction) => {
+      if (db.objectStoreNames.contains("lists")) {
+        return;
+      }
+      const lists = db.createObjectStore("lists", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      lists.add({ id: DEFAULT_LIST_ID, name: "Default", enabled: true });
+
+      return forEachRecord(
+        transaction.objectStore("blockedAuthors"),
+        (cursor) =>
+          cursor.update({ ...cursor.value, listIds: [DEFAULT_LIST_ID] })
+      );
+    },
+  },
+  {
+    version: 5,
+    description:
+      "Statistics: hidden item counts per day, surface and channel, and the videos " +
+      "already counted on each day",
+    migrate: (db, transaction) => {
+      if (!db.objectStoreNames.contains("stats")) {
+        const stats = db.createObjectStore("stats", {
+          keyPath: ["day", "surface", "channelKey"],
+        });
+        stats.createIndex("day", "day");
+      }
+      if (!db.objectStoreNames.contains("hiddenVideos")) {
+        const hiddenVideos = db.createObjectStore("hiddenVideos", {
+          keyPath: ["day", "videoId"],
+        });
+        hiddenVideos.createIndex("day", "day");
+      }
+    },
+  },
+  {
+    version: 6,
+    description: "The append-only log of changes to the block list and PIN",
+    migrate: (db, transaction) => {
+      ensureObjectStore(db, transaction, "auditLog", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    },
+  },
+  {
+    version: 7,
+    description: "Unblock requests of the viewer mode, indexed by their status",
+    migrate: (db) => {
+      const unblockRequests = db.createObjectStore("unblockRequests", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      unblockRequests.createIndex("status", "status");
+    },
+  },
+  {
+    version: 8,
+    description: "The approved channels of the allow-list mode",
+    migrate: (db, transaction) => {
+      ensureObjectStore(db, transaction, "allowedAuthors", {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    },
+  },
+  {
+    version: 9,
+    description:
+      "Unique author keys and indexes for the fields the block list is filtered by",
+    migrate: async (db, transaction) => {
+      const authors = transaction.objectStore("blockedAuthors");
+      authors.createIndex("listIds", "listIds", { multiEntry: true });
+      await addAuthorKeyIndexes(authors);
+      await addAuthorKeyIndexes(transaction.objectStore("allowedAuthors"));
+    },
+  },
+  {
+    version: 10,
+    description:
+      "Entries added by channel ID or @handle no longer store the identifier as their name",
+    migrate: async (db, transaction) => {
+      const removeIdentifierName = (cursor) => {
+        const { name, channelId, handle } = cursor.value;
+        if (
+          (cursor.value.matchMode || "exact") === "exact" &&
+          name &&
+          (name === (channelId || "").toLowerCase() || name === handle)
+        ) {
+          const record = { ...cursor.value };
+          delete record.name;
+          cursor.update(record);
+        }
+      };
+      await forEachRecord(
+        transaction.objectStore("blockedAuthors"),
+        removeIdentifierName
+      );
+      await forEachRecord(
+        transaction.objectStore("allowedAuthors"),
+        removeIdentifierName
+      );
+    },
+  },
+];
+
+/**
+ * The current version of the database schema, see `MIGRATIONS`.
+ */
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Opens the IndexedDB database, creating or upgrading it with the pending `MIGRATIONS`.
+ * If the database connection is already open, resolves immediately with the existing db
+ * instance.
  *
  * @returns {Promise<IDBDatabase>} A promise that resolves with the database instance.
- * @rejects {string} If there is an error opening the database.
+ * @rejects {Error} If the database can't be opened or a migration fails, naming the cause.
  */
 const openDatabase = () => {
   return new Promise((resolve, reject) => {
@@ -22,71 +319,336 @@ const openDatabase = () => {
       return;
     }
 
-    const request = indexedDB.open("channelGuardDB", 2);
-
-    request.onupgradeneeded = (event) => {
-      db = event.target.result;
+    const request = indexedDB.open("channelGuardDB", DB_VERSION);
+    let upgradeError;
 
-      // Create object store for blocked authors
-      if (!db.objectStoreNames.contains("blockedAuthors")) {
-        db.createObjectStore("blockedAuthors", {
-          keyPath: "id",
-          autoIncrement: true,
-        });
-      }
+    request.onupgradeneeded = async (event) => {
+      const upgradingDB = event.target.result;
+      const transaction = event.target.transaction;
+      const pending = MIGRATIONS.filter(
+        ({ version }) => version > event.oldVersion
+      );
+      // E.g. a unique index that can't be created aborts the upgrade without a request error
+      transaction.onabort = () => {
+        upgradeError =
+          upgradeError ||
+          createError(
+            ERROR_CODES.storage,
+            `Could not upgrade the database to version ${DB_VERSION}: ${
+              transaction.error ? transaction.error.message : "aborted"
+            }`
+          );
+      };
 
-      // Create object store for settings (including PIN)
-      if (!db.objectStoreNames.contains("settings")) {
-        db.createObjectStore("settings", { keyPath: "id" });
+      for (const migration of pending) {
+        try {
+          await migration.migrate(upgradingDB, transaction);
+        } catch (error) {
+          // Keep the first error: aborting makes the remaining requests fail as well
+          upgradeError =
+            upgradeError ||
+            createError(
+              ERROR_CODES.storage,
+              `Could not migrate the database to version ${migration.version}: ${error.message}`
+            );
+          transaction.abort();
+          return;
+        }
       }
     };
 
     request.onsuccess = (event) => {
       db = event.target.result;
+      // Let a newer version of the extension (e.g. the other context after an update)
+      // upgrade the schema instead of being blocked by this connection.
+      db.onversionchange = () => {
+        db.close();
+        db = undefined;
+      };
       resolve(db);
     };
 
-    request.onerror = (event) => {
-      reject("IndexedDB error:", event.target.error);
+    request.onerror = () => {
+      reject(
+        upgradeError ||
+          createError(
+            ERROR_CODES.storage,
+            `Could not open the database: ${request.error.message}`
+          )
+      );
     };
   });
 };
 
 /**
- * Checks if an author already exists in the "blockedAuthors" object store of the IndexedDB.
- * It iterates through all records using a cursor, comparing each author's name (case-insensitive)
- * with the provided author name.
+ * The ways an author record's name can be matched against a channel's display name.
+ * Records created before match modes existed are treated as "exact".
+ */
+const AUTHOR_MATCH_MODES = ["exact", "contains", "prefix", "regex"];
+
+/**
+ * Checks that a pattern compiles as a case-insensitive regular expression.
+ *
+ * @param {string} pattern - The regular expression source.
+ * @throws {Error} If the pattern is not a valid regular expression.
+ */
+const validateRegex = (pattern) => {
+  try {
+    new RegExp(pattern, "i");
+  } catch (error) {
+    throw createError(
+      ERROR_CODES.invalid,
+      `Invalid regular expression: ${error.message}`
+    );
+  }
+};
+
+/**
+ * Normalizes an author pattern for storage and comparison. Regex patterns are kept as
+ * entered, since lowercasing would change escapes such as `\D`; every other mode is
+ * case-insensitive and stored in lowercase.
  *
- * @param {string} authorName - The name of the author to check for existence in the database.
- * @returns {Promise<boolean>} A promise that resolves to `true` if the author exists,
- * or `false` if the author does not exist. The comparison is case-insensitive,
- * meaning 'AuthorName' and 'authorname' are treated as the same.
+ * @param {string} pattern - The name or pattern.
+ * @param {string} mode - One of `AUTHOR_MATCH_MODES`.
+ * @returns {string} The normalized pattern.
+ */
+const normalizeAuthorPattern = (pattern, mode) =>
+  mode === "regex" ? pattern.trim() : pattern.trim().toLowerCase();
+
+/**
+ * Decides whether two author entries describe the same block rule. When the author carries
+ * a stable identifier (channel ID or @handle), entries are compared by that identifier;
+ * otherwise the match mode together with the name pattern is the uniqueness key, so "bob"
+ * (exact) and "bob" (contains) are different entries. Except for regex patterns the
+ * comparison is case-insensitive, meaning 'AuthorName' and 'authorname' are the same.
+ *
+ * @param {Object} record - An author record, e.g. from the "blockedAuthors" object store.
+ * @param {Object} author - The author to compare with the record.
+ * @returns {boolean} `true` if both entries describe the same author.
+ */
+const isSameAuthor = (record, author) => {
+  if (author.channelId && record.channelId === author.channelId) {
+    return true;
+  }
+  if (
+    author.handle &&
+    record.handle &&
+    record.handle.toLowerCase() === author.handle.toLowerCase()
+  ) {
+    return true;
+  }
+  // Names only identify an author when neither side has a stable identifier
+  if (author.channelId || author.handle || record.channelId || record.handle) {
+    return false;
+  }
+  const mode = author.matchMode || "exact";
+  const recordMode = record.matchMode || "exact";
+  return (
+    recordMode === mode &&
+    normalizeAuthorPattern(record.name, recordMode) ===
+      normalizeAuthorPattern(author.name, mode)
+  );
+};
+
+/**
+ * Looks an author up in an author object store with its indexes, following the uniqueness
+ * rules of `isSameAuthor`: by channel ID and @handle when the author has them, otherwise by
+ * the normalized name key of name-only records.
  *
- * This function ensures a case-insensitive search by converting both the stored names
- * and the provided author name to lowercase before comparison.
+ * @param {string} storeName - "blockedAuthors" or "allowedAuthors".
+ * @param {Object} author - The author to look up, see `authorExists`.
+ * @returns {Promise<IDBValidKey | undefined>} A promise that resolves to the key of the
+ *          stored record describing the same author, or `undefined` if there is none.
+ * @rejects {DOMException} If the lookup fails.
  */
-const authorExists = async (authorName) => {
+const findSameAuthorId = async (storeName, author) => {
+  const lookups = [];
+  if (author.channelId) {
+    lookups.push(["channelId", author.channelId]);
+  }
+  if (author.handle) {
+    lookups.push(["handle", author.handle.toLowerCase()]);
+  }
+  if (!lookups.length) {
+    lookups.push(["authorKey", toAuthorKey(author)]);
+  }
+
   const db = await openDatabase();
-  const transaction = db.transaction(["blockedAuthors"], "readonly");
-  const store = transaction.objectStore("blockedAuthors");
-  const lowercasedName = authorName.toLowerCase();
+  const store = db.transaction([storeName], "readonly").objectStore(storeName);
+  const ids = await Promise.all(
+    lookups.map(
+      ([indexName, value]) =>
+        new Promise((resolve, reject) => {
+          const request = store.index(indexName).getKey(value);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    )
+  );
+  return ids.find((id) => id !== undefined);
+};
 
-  return new Promise((resolve) => {
-    store.openCursor().onsuccess = (event) => {
-      const cursor = event.target.result;
-      if (cursor) {
-        // If a matching author is found, resolve the promise with true.
-        if (cursor.value.name.toLowerCase() === lowercasedName) {
-          resolve(true);
-          return;
-        }
-        // Move to the next record in the store.
-        cursor.continue();
-      } else {
-        // If no matching author is found by the end of the store, resolve the promise with false.
-        resolve(false);
+/**
+ * Checks if an author already exists in the "blockedAuthors" object store of the IndexedDB,
+ * using the same rules as `isSameAuthor` (see `findSameAuthorId`).
+ *
+ * @param {Object} author - The author to check for existence in the database.
+ * @param {string} author.name - The name or pattern of the author.
+ * @param {string} [author.matchMode="exact"] - One of `AUTHOR_MATCH_MODES`.
+ * @param {string} [author.channelId] - The channel ID ("UC…") of the author.
+ * @param {string} [author.handle] - The @handle of the author.
+ * @returns {Promise<boolean>} A promise that resolves to `true` if the author exists,
+ * or `false` if the author does not exist.
+ */
+const authorExists = async (author) =>
+  (await findSameAuthorId("blockedAuthors", author)) !== undefined;
+
+/**
+ * Validates an author entry and builds the record stored in the "blockedAuthors" object store.
+ *
+ * The author's name is stored in lowercase to ensure case-insensitive uniqueness (regex
+ * patterns are stored as entered). The channel ID and @handle, when known, are stored as
+ * well so the content script can match the channel regardless of its current display name.
+ * An exact entry may come without a name when it has one of them (e.g. one added by its
+ * channel URL); it is then only matched by its identifiers.
+ * The record's `authorKey` (see `toAuthorKey`) is unique within the object store.
+ *
+ * @param {Object} author - The author entry.
+ * @param {string} [author.name] - The name or pattern of the author. Required unless an
+ * exact entry has a channel ID or @handle.
+ * @param {string} [author.matchMode="exact"] - How the name is matched against channel
+ * names: "exact", "contains", "prefix" (starts with) or "regex".
+ * @param {string} [author.displayName] - The name as it should be shown in the popup.
+ * @param {string} [author.channelId] - The channel ID ("UC…") of the author.
+ * @param {string} [author.handle] - The @handle of the author.
+ * @param {Array<IDBValidKey>} [author.listIds] - The block lists the author belongs to.
+ * @param {number} [author.expiresAt] - For temporary blocks, the time (in milliseconds
+ * since the epoch) at which the author is removed from the block list again.
+ * @returns {Object} The record to store, without an `id`.
+ * @throws {Error} If the name is missing, the match mode or regex is invalid, or the
+ * expiry is not in the future.
+ */
+const createAuthorRecord = (author) => {
+  const hasName =
+    Boolean(author) && typeof author.name === "string" && author.name.trim();
+  const matchMode = (author && author.matchMode) || "exact";
+  if (
+    !hasName &&
+    !(author && (author.channelId || author.handle) && matchMode === "exact")
+  ) {
+    throw createError(ERROR_CODES.invalid, "Author name cannot be empty.");
+  }
+  if (!AUTHOR_MATCH_MODES.includes(matchMode)) {
+    throw createError(ERROR_CODES.invalid, `Unknown match mode: ${matchMode}`);
+  }
+  if (matchMode === "regex") {
+    validateRegex(author.name);
+  }
+
+  const record = {};
+  if (hasName) {
+    record.name = normalizeAuthorPattern(author.name, matchMode);
+  }
+  record.displayName = (
+    author.displayName ||
+    author.name ||
+    author.handle ||
+    author.channelId
+  ).trim();
+  record.matchMode = matchMode;
+  if (author.channelId) {
+    record.channelId = author.channelId;
+  }
+  if (author.handle) {
+    record.handle = author.handle.toLowerCase();
+  }
+  record.authorKey = toAuthorKey(record);
+  if (Array.isArray(author.listIds) && author.listIds.length) {
+    record.listIds = [...author.listIds];
+  }
+  if (author.expiresAt != null) {
+    const expiresAt = Number(author.expiresAt);
+    if (!Number.isFinite(expiresAt) || expiresAt <= Date.now()) {
+      throw createError(
+        ERROR_CODES.invalid,
+        "The block must expire in the future."
+      );
+    }
+    record.expiresAt = expiresAt;
+  }
+  return record;
+};
+
+/**
+ * Resolves the block lists a new author is added to when none were chosen: the list
+ * with the lowest key, which is the "Default" list unless it was deleted.
+ *
+ * @returns {Promise<Array<IDBValidKey>>} A promise that resolves to the list keys.
+ */
+const getDefaultListIds = async () => {
+  const lists = await getLists();
+  return lists.length ? [lists[0].id] : [];
+};
+
+/**
+ * Where a change to the block list or PIN was made, as recorded in the audit log:
+ * "popup" for the extension popup, "in-page" for the controls on YouTube itself and
+ * "expiry" for temporary blocks removed when they expire.
+ */
+const AUDIT_SOURCES = ["popup", "in-page", "expiry"];
+
+/**
+ * Copies the fields of an author record that identify it in the audit log.
+ *
+ * @param {Object} author - The author record.
+ * @returns {Object} The audit log's copy of the entry.
+ */
+const toAuditEntry = (author) => {
+  const entry = {};
+  ["name", "displayName", "matchMode", "channelId", "handle"].forEach(
+    (field) => {
+      if (author[field]) {
+        entry[field] = author[field];
       }
-    };
+    }
+  );
+  return entry;
+};
+
+/**
+ * Appends an entry to the audit log as part of the transaction making the change, so the
+ * change and its log entry are written together or not at all. The log is append-only:
+ * this module offers no way to change or delete its entries.
+ *
+ * @param {IDBTransaction} transaction - A readwrite transaction including "auditLog".
+ * @param {string} action - The function that made the change, e.g. "deleteAuthor".
+ * @param {Object|null} entry - The affected entry, or `null` (e.g. for PIN changes).
+ * @param {string} source - Where the change was made, see `AUDIT_SOURCES`.
+ */
+const logAudit = (transaction, action, entry, source) => {
+  transaction.objectStore("auditLog").add({
+    timestamp: Date.now(),
+    action,
+    entry,
+    source: AUDIT_SOURCES.includes(source) ? source : "popup",
+  });
+};
+
+/**
+ * Retrieves all audit log entries, oldest first.
+ *
+ * @returns {Promise<Array<{id: number, timestamp: number, action: string, entry: Object|null, source: string}>>}
+ *          A promise that resolves to the audit log entries.
+ */
+const getAuditLog = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["auditLog"], "readonly");
+  const store = transaction.objectStore("auditLog");
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
   });
 };
 
@@ -94,38 +656,244 @@ const authorExists = async (authorName) => {
  * Asynchronously adds a new author to the "blockedAuthors" object store in the IndexedDB,
  * after ensuring the author does not already exist. This function first checks for the
  * existence of the author using the `authorExists` function. If the author already exists,
- * it alerts the user and does not proceed with the addition. If the author does not exist,
+ * it rejects with an error naming the author instead. If the author does not exist,
  * it adds the new author to the database.
  *
- * The author's name is stored in lowercase to ensure case-insensitive uniqueness.
- *
- * @param {string} authorName - The name of the author to be added to the database. The name
- * will be converted to lowercase before storage to ensure case-insensitive comparison.
- * @returns {Promise<IDBValidKey | undefined>} A promise that resolves to the new record's key
- * if the addition is successful, or `undefined` if the author already exists. The promise is
- * rejected if there is an error during the addition process.
+ * @param {Object} author - The author to be added to the database. See `createAuthorRecord`
+ * for the supported fields. Without `listIds` the author is added to the default list.
+ * @param {string} [source="popup"] - Where the author was added, see `AUDIT_SOURCES`.
+ * @returns {Promise<IDBValidKey>} A promise that resolves to the new record's key if the
+ * addition is successful. The promise is rejected if the author already exists, if the match
+ * mode or regex is invalid, or if there is an error during the addition process.
  */
-const addAuthor = async (authorName) => {
+const addAuthor = async (author, source = "popup") => {
+  const record = createAuthorRecord(author);
+  if (!record.listIds) {
+    record.listIds = await getDefaultListIds();
+  }
+
   // Check if the author already exists in the database
-  const exists = await authorExists(authorName);
+  const exists = await authorExists(author);
   if (exists) {
-    alert(`Author already exists: ${authorName}`);
-    return;
+    throw createError(
+      ERROR_CODES.duplicate,
+      `Author already exists: ${record.displayName}`
+    );
   }
 
   // Proceed to add the new author if they don't already exist
   const db = await openDatabase();
-  const transaction = db.transaction(["blockedAuthors"], "readwrite");
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
   const store = transaction.objectStore("blockedAuthors");
 
   // Attempt to add the new author record to the database
   return new Promise((resolve, reject) => {
-    // Store the author name in lowercase to ensure case-insensitive uniqueness
-    const request = store.add({ name: authorName.toLowerCase() });
-    request.onsuccess = () => resolve(request.result); // On success, resolve with the new record's key
-    request.onerror = () => reject(request.error); // On error, reject the promise
+    const request = store.add(record);
+    logAudit(transaction, "addAuthor", toAuditEntry(record), source);
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(request.result); // On success, resolve with the new record's key
+    };
+    transaction.onerror = () => {
+      // The unique indexes catch an author added since the check above
+      if (request.error && request.error.name === "ConstraintError") {
+        reject(
+          createError(
+            ERROR_CODES.duplicate,
+            `Author already exists: ${record.displayName}`
+          )
+        );
+        return;
+      }
+      reject(transaction.error); // On error, reject the promise
+    };
+  });
+};
+/**
+ * Asynchronously adds several authors to the "blockedAuthors" object store in a single
+ * transaction, e.g. when importing a block list. Either all records are added or none.
+ * The caller is responsible for deduplication (see `isSameAuthor`), since a duplicate
+ * fails the unique indexes; the block list change is announced once, after the
+ * transaction completes. Entries without `listIds` are added to the default list.
+ *
+ * @param {Array<Object>} authors - The authors to add. See `createAuthorRecord`.
+ * @param {string} [source="popup"] - Where the authors were added, see `AUDIT_SOURCES`.
+ * @returns {Promise<number>} A promise that resolves to the number of records added.
+ * @rejects {Error} If an entry is invalid or a duplicate, or the transaction fails.
+ */
+const addAuthors = async (authors, source = "popup") => {
+  const records = authors.map(createAuthorRecord);
+  const defaultListIds = await getDefaultListIds();
+  records.forEach((record) => {
+    record.listIds = record.listIds || defaultListIds;
+  });
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("blockedAuthors");
+
+  return new Promise((resolve, reject) => {
+    records.forEach((record) => {
+      store.add(record);
+      logAudit(transaction, "addAuthor", toAuditEntry(record), source);
+    });
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(records.length);
+    };
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+/**
+ * Asynchronously replaces the whole block list with the given authors in a single
+ * transaction, e.g. when importing a block list in "replace" mode. Either the list is
+ * cleared and all records are added, or nothing changes. Like `addAuthors`, the caller is
+ * responsible for deduplication, and entries without `listIds` are added to the default
+ * list.
+ *
+ * @param {Array<Object>} authors - The authors to keep. See `createAuthorRecord`.
+ * @param {string} [source="popup"] - Where the list was replaced, see `AUDIT_SOURCES`.
+ * @returns {Promise<number>} A promise that resolves to the number of records added.
+ * @rejects {Error} If an entry is invalid or a duplicate, or the transaction fails.
+ */
+const replaceAuthors = async (authors, source = "popup") => {
+  const records = authors.map(createAuthorRecord);
+  const defaultListIds = await getDefaultListIds();
+  records.forEach((record) => {
+    record.listIds = record.listIds || defaultListIds;
+  });
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("blockedAuthors");
+  let conflict = null;
+
+  // Count the records first so the audit log shows how many authors were removed
+  return new Promise((resolve, reject) => {
+    const count = store.count();
+    count.onsuccess = () => {
+      store.clear();
+      logAudit(transaction, "clearAuthors", { count: count.result }, source);
+      records.forEach((record) => {
+        const request = store.add(record);
+        request.onerror = () => {
+          if (request.error.name === "ConstraintError") {
+            conflict = record;
+          }
+        };
+        logAudit(transaction, "addAuthor", toAuditEntry(record), source);
+      });
+    };
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(records.length);
+    };
+    // Nothing was cleared or added when the transaction is aborted
+    transaction.onabort = () => {
+      if (conflict) {
+        reject(
+          createError(
+            ERROR_CODES.duplicate,
+            `Author already exists: ${conflict.displayName}`
+          )
+        );
+        return;
+      }
+      reject(transaction.error);
+    };
+  });
+};
+/**
+ * Asynchronously merges the given fields into an existing author record in the
+ * "blockedAuthors" object store. This is used to upgrade name-only records with the
+ * channel ID and @handle once the content script has resolved them from a video tile,
+ * and to change the block lists an author belongs to. The edit is recorded in the audit
+ * log together with the names of the changed fields.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the author record to update.
+ * @param {Object} changes - The fields to merge into the stored record.
+ * @param {string} [source="popup"] - Where the author was edited, see `AUDIT_SOURCES`.
+ * @returns {Promise<Object | undefined>} A promise that resolves to the updated record,
+ * or `undefined` if no record with the given id exists. The promise is rejected if an
+ * error occurs during the update, e.g. with a "ConstraintError" if another record already
+ * has the new channel ID or @handle.
+ */
+const updateAuthor = async (id, changes, source = "popup") => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("blockedAuthors");
+  let updated;
+
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      if (!getRequest.result) {
+        return;
+      }
+      updated = { ...getRequest.result, ...changes, id };
+      if (updated.handle) {
+        updated.handle = updated.handle.toLowerCase();
+      }
+      updated.authorKey = toAuthorKey(updated);
+      store.put(updated);
+      logAudit(
+        transaction,
+        "updateAuthor",
+        { ...toAuditEntry(updated), changed: Object.keys(changes) },
+        source
+      );
+    };
+    transaction.oncomplete = () => {
+      if (updated) {
+        blockListChangedHandler();
+      }
+      resolve(updated); // Resolve with the merged record
+    };
+    transaction.onerror = () => reject(transaction.error);
   });
 };
+/**
+ * Validates a schedule entered in the popup, see `validateSchedule` in schedule.js.
+ *
+ * @param {Object} schedule - The schedule.
+ * @throws {Error} With the "invalid" code if the schedule is invalid.
+ */
+const checkSchedule = (schedule) => {
+  try {
+    validateSchedule(schedule);
+  } catch (error) {
+    throw createError(ERROR_CODES.invalid, error.message);
+  }
+};
+
+/**
+ * Asynchronously sets or removes the weekly schedule of a blocked author. An author with
+ * a schedule is only blocked while the schedule's window is active.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the author record.
+ * @param {Object|null} schedule - The schedule (see `validateSchedule` in schedule.js),
+ *        or `null` to block at all times.
+ * @param {string} [source="popup"] - Where the schedule was set, see `AUDIT_SOURCES`.
+ * @returns {Promise<Object | undefined>} A promise that resolves to the updated record.
+ * @rejects {Error} If the schedule is invalid.
+ */
+const setAuthorSchedule = async (id, schedule, source = "popup") => {
+  if (schedule) {
+    checkSchedule(schedule);
+  }
+  return updateAuthor(id, { schedule }, source);
+};
 /**
  * Asynchronously deletes an author from the "blockedAuthors" object store in the IndexedDB
  * based on the provided unique identifier (id). This function opens a readwrite transaction
@@ -134,21 +902,86 @@ const addAuthor = async (authorName) => {
  *
  * @param {IDBValidKey} id - The unique identifier for the author record to be deleted. This
  * is typically the key used in the IndexedDB object store.
+ * @param {string} [source="popup"] - Where the author was deleted, see `AUDIT_SOURCES`.
  * @returns {Promise<undefined>} A promise that resolves when the deletion is successful,
  * indicating that the record has been removed from the database. The promise is rejected if
  * an error occurs during the deletion process.
  */
-const deleteAuthor = async (id) => {
+const deleteAuthor = async (id, source = "popup") => {
   // Open the database and access the "blockedAuthors" object store for readwrite operations
   const db = await openDatabase();
-  const transaction = db.transaction(["blockedAuthors"], "readwrite");
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
   const store = transaction.objectStore("blockedAuthors");
 
-  // Attempt to delete the author record with the specified id
+  // Read the record first so the audit log shows which author was deleted
   return new Promise((resolve, reject) => {
-    const request = store.delete(id);
-    request.onsuccess = () => resolve(request.result); // Resolve the promise on successful deletion
-    request.onerror = () => reject(request.error); // Reject the promise if an error occurs
+    const existing = store.get(id);
+    existing.onsuccess = () => {
+      if (!existing.result) {
+        return;
+      }
+      store.delete(id);
+      logAudit(
+        transaction,
+        "deleteAuthor",
+        toAuditEntry(existing.result),
+        source
+      );
+    };
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(); // Resolve the promise on successful deletion
+    };
+    transaction.onerror = () => reject(transaction.error); // Reject the promise if an error occurs
+  });
+};
+/**
+ * Asynchronously deletes several authors from the "blockedAuthors" object store in a
+ * single transaction, e.g. the entries selected in the popup. Either all records are
+ * deleted or none, and the block list change is announced once. Ids without a record are
+ * skipped.
+ *
+ * @param {Array<IDBValidKey>} ids - The unique identifiers of the author records.
+ * @param {string} [source="popup"] - Where the authors were deleted, see `AUDIT_SOURCES`.
+ * @returns {Promise<number>} A promise that resolves to the number of records deleted.
+ * @rejects {Error} If the transaction fails.
+ */
+const deleteAuthors = async (ids, source = "popup") => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("blockedAuthors");
+  let deleted = 0;
+
+  // Read each record first so the audit log shows which authors were deleted
+  return new Promise((resolve, reject) => {
+    ids.forEach((id) => {
+      const existing = store.get(id);
+      existing.onsuccess = () => {
+        if (!existing.result) {
+          return;
+        }
+        store.delete(id);
+        deleted += 1;
+        logAudit(
+          transaction,
+          "deleteAuthor",
+          toAuditEntry(existing.result),
+          source
+        );
+      };
+    });
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(deleted);
+    };
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
   });
 };
 /**
@@ -180,96 +1013,1357 @@ const getAuthors = async () => {
  * uses the `clear` method to remove all existing records. This can be useful for resetting
  * the data or performing bulk deletions.
  *
+ * @param {string} [source="popup"] - Where the list was cleared, see `AUDIT_SOURCES`.
  * @returns {Promise<void>} A promise that resolves when the object store has been successfully
  * cleared of all records. The promise is rejected if an error occurs during the clearing process.
  */
-const clearAuthors = async () => {
+const clearAuthors = async (source = "popup") => {
   // Open the database and access the "blockedAuthors" object store for readwrite operations
   const db = await openDatabase();
-  const transaction = db.transaction(["blockedAuthors"], "readwrite");
+  const transaction = db.transaction(
+    ["blockedAuthors", "auditLog"],
+    "readwrite"
+  );
   const store = transaction.objectStore("blockedAuthors");
 
-  // Attempt to clear all records from the object store
+  // Count the records first so the audit log shows how many authors were removed
+  return new Promise((resolve, reject) => {
+    const count = store.count();
+    count.onsuccess = () => {
+      store.clear(); // Use the clear method to remove all records
+      logAudit(transaction, "clearAuthors", { count: count.result }, source);
+    };
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(); // Resolve the promise on successful clearing
+    };
+    transaction.onerror = () => reject(transaction.error); // Reject the promise if an error occurs
+  });
+};
+/**
+ * Asynchronously retrieves all named block lists from the "lists" object store,
+ * ordered by key.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of list objects,
+ * each with an `id`, a `name` and an `enabled` flag.
+ */
+const getLists = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["lists"], "readonly");
+  const store = transaction.objectStore("lists");
+
   return new Promise((resolve, reject) => {
-    const request = store.clear(); // Use the clear method to remove all records
-    request.onsuccess = () => resolve(); // Resolve the promise on successful clearing
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result); // Resolve the promise with the retrieved records
     request.onerror = () => reject(request.error); // Reject the promise if an error occurs
   });
 };
 /**
- * Sets the hashed PIN in the IndexedDB settings.
+ * Asynchronously creates a new, enabled block list.
  *
- * @param {string} pin - The PIN to be hashed and set.
- * @returns {Promise<void>} A promise that resolves when the hashed PIN is successfully set.
- * @rejects {Error} If there is an error setting the hashed PIN.
+ * @param {string} name - The name of the list, e.g. "Kids' time".
+ * @returns {Promise<IDBValidKey>} A promise that resolves to the new list's key.
+ * @rejects {Error} If the name is empty or another list already has it.
  */
-const setPIN = async (pin) => {
-  const hashedPIN = await hashString(pin); // Hash PIN
+const addList = async (name) => {
+  const listName = name.trim();
+  if (!listName) {
+    throw createError(ERROR_CODES.invalid, "List name cannot be empty.");
+  }
+  const lists = await getLists();
+  if (
+    lists.some((list) => list.name.toLowerCase() === listName.toLowerCase())
+  ) {
+    throw createError(
+      ERROR_CODES.duplicate,
+      `List already exists: ${listName}`
+    );
+  }
+
   const db = await openDatabase();
-  const transaction = db.transaction(["settings"], "readwrite");
-  const store = transaction.objectStore("settings");
+  const transaction = db.transaction(["lists"], "readwrite");
+  const store = transaction.objectStore("lists");
 
   return new Promise((resolve, reject) => {
-    const request = store.put({ id: "pin", type: "pin", value: hashedPIN });
-    request.onsuccess = () => resolve();
-    request.onerror = (e) => reject(e.target.error);
+    const request = store.add({ name: listName, enabled: true });
+    request.onsuccess = () => resolve(request.result); // On success, resolve with the new record's key
+    request.onerror = () => reject(request.error); // On error, reject the promise
   });
 };
 /**
- * Verifies if the entered PIN matches the stored hashed PIN in IndexedDB settings.
+ * Asynchronously merges the given fields into a block list record.
  *
- * @param {string} pin - The PIN to be verified.
- * @returns {Promise<boolean>} A promise that resolves with a boolean value indicating whether the PIN is verified or not.
+ * @param {IDBValidKey} id - The key of the list.
+ * @param {Object} changes - The fields to change (`name`, `enabled` and/or `schedule`).
+ * @returns {Promise<void>} A promise that resolves once the list has been updated.
+ * @rejects {Error} If the list does not exist or the update fails.
  */
-const verifyPIN = async (pin) => {
+const updateList = async (id, changes) => {
   const db = await openDatabase();
-  const transaction = db.transaction(["settings"], "readonly");
-  const store = transaction.objectStore("settings");
-  const request = store.get("pin");
+  const transaction = db.transaction(["lists"], "readwrite");
+  const store = transaction.objectStore("lists");
 
-  return new Promise((resolve) => {
-    request.onsuccess = async () => {
-      if (request.result) {
-        const hashedPIN = request.result.value;
-        const inputPINHashed = await hashString(pin);
-        resolve(hashedPIN === inputPINHashed);
-      } else {
-        resolve(false);
+  return new Promise((resolve, reject) => {
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      if (!getRequest.result) {
+        reject(createError(ERROR_CODES.invalid, `List not found: ${id}`));
+        return;
       }
+      const putRequest = store.put({ ...getRequest.result, ...changes, id });
+      putRequest.onsuccess = () => {
+        // Enabling or disabling a list changes which authors are blocked
+        blockListChangedHandler();
+        resolve();
+      };
+      putRequest.onerror = () => reject(putRequest.error);
     };
-    request.onerror = () => resolve(false);
+    getRequest.onerror = () => reject(getRequest.error);
   });
 };
 /**
- * Updates the hashed PIN in the IndexedDB settings.
+ * Asynchronously renames a block list.
  *
- * @param {string} oldPIN - The current PIN.
- * @param {string} newPIN - The new PIN to be hashed and set.
- * @returns {Promise<void>} A promise that resolves when the hashed PIN is successfully updated.
- * @rejects {Error} If there is an error updating the hashed PIN.
+ * @param {IDBValidKey} id - The key of the list.
+ * @param {string} name - The new name.
+ * @returns {Promise<void>} A promise that resolves once the list has been renamed.
+ * @rejects {Error} If the name is empty or used by another list.
  */
-const updatePIN = async (oldPIN, newPIN) => {
-  // Hash the new PIN
-  const newHashedPIN = await hashString(newPIN);
+const renameList = async (id, name) => {
+  const listName = name.trim();
+  if (!listName) {
+    throw createError(ERROR_CODES.invalid, "List name cannot be empty.");
+  }
+  const lists = await getLists();
+  if (
+    lists.some(
+      (list) =>
+        list.id !== id && list.name.toLowerCase() === listName.toLowerCase()
+    )
+  ) {
+    throw createError(
+      ERROR_CODES.duplicate,
+      `List already exists: ${listName}`
+    );
+  }
+  return updateList(id, { name: listName });
+};
+/**
+ * Asynchronously turns a block list on or off. Only authors on enabled lists are blocked.
+ *
+ * @param {IDBValidKey} id - The key of the list.
+ * @param {boolean} enabled - Whether the list should be applied.
+ * @returns {Promise<void>} A promise that resolves once the flag has been stored.
+ */
+const setListEnabled = (id, enabled) => updateList(id, { enabled });
+/**
+ * Asynchronously sets or removes the weekly schedule of a block list. A list with a
+ * schedule only blocks its entries while the schedule's window is active.
+ *
+ * @param {IDBValidKey} id - The key of the list.
+ * @param {Object|null} schedule - The schedule (see `validateSchedule` in schedule.js),
+ *        or `null` to block at all times.
+ * @returns {Promise<void>} A promise that resolves once the schedule has been stored.
+ * @rejects {Error} If the schedule is invalid.
+ */
+const setListSchedule = async (id, schedule) => {
+  if (schedule) {
+    checkSchedule(schedule);
+  }
+  return updateList(id, { schedule });
+};
+/**
+ * Asynchronously deletes a block list. Authors that belonged only to this list are deleted
+ * with it; authors that also belong to other lists are kept and just leave this one.
+ * The last remaining list cannot be deleted. Each deleted and each edited author is
+ * recorded in the audit log.
+ *
+ * @param {IDBValidKey} id - The key of the list to delete.
+ * @param {string} [source="popup"] - Where the list was deleted, see `AUDIT_SOURCES`.
+ * @returns {Promise<void>} A promise that resolves once the list and its entries are removed.
+ * @rejects {Error} If this is the last list or the deletion fails.
+ */
+const deleteList = async (id, source = "popup") => {
+  const lists = await getLists();
+  if (lists.length <= 1) {
+    throw createError(ERROR_CODES.invalid, "At least one list is required.");
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["lists", "blockedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const authors = transaction.objectStore("blockedAuthors");
+  transaction.objectStore("lists").delete(id);
+
+  return new Promise((resolve, reject) => {
+    // Only visit the list's entries
+    authors.index("listIds").openCursor(id).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) {
+        return;
+      }
+      const remaining = cursor.value.listIds.filter((listId) => listId !== id);
+      if (remaining.length) {
+        cursor.update({ ...cursor.value, listIds: remaining });
+        logAudit(
+          transaction,
+          "updateAuthor",
+          { ...toAuditEntry(cursor.value), changed: ["listIds"] },
+          source
+        );
+      } else {
+        cursor.delete();
+        logAudit(
+          transaction,
+          "deleteAuthor",
+          toAuditEntry(cursor.value),
+          source
+        );
+      }
+      cursor.continue();
+    };
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+/**
+ * Checks that a title rule can be used by the content script. Plain-text rules only
+ * need a non-empty pattern, regex rules must also compile.
+ *
+ * @param {string} pattern - The text or regular expression to match titles against.
+ * @param {string} mode - Either "text" or "regex".
+ * @throws {Error} If the pattern is empty, the mode is unknown or the regex is invalid.
+ */
+const validateTitleRule = (pattern, mode) => {
+  if (!pattern.trim()) {
+    throw createError(ERROR_CODES.invalid, "Title rule cannot be empty.");
+  }
+  if (mode !== "text" && mode !== "regex") {
+    throw createError(ERROR_CODES.invalid, `Unknown title rule mode: ${mode}`);
+  }
+  if (mode === "regex") {
+    validateRegex(pattern);
+  }
+};
+
+/**
+ * Asynchronously adds a rule to the "titleRules" object store. Videos whose title matches
+ * a rule are hidden regardless of their author. Matching is case-insensitive in both modes.
+ *
+ * Plain-text patterns are stored in lowercase; regex patterns are stored as entered.
+ *
+ * @param {string} pattern - The text or regular expression to match titles against.
+ * @param {string} [mode="text"] - Either "text" (substring match) or "regex".
+ * @returns {Promise<IDBValidKey>} A promise that resolves to the new record's key.
+ * @rejects {Error} If the rule is invalid or already exists, or the addition fails.
+ */
+const addTitleRule = async (pattern, mode = "text") => {
+  validateTitleRule(pattern, mode);
+  const value = mode === "text" ? pattern.trim().toLowerCase() : pattern;
+
+  const rules = await getTitleRules();
+  if (rules.some((rule) => rule.mode === mode && rule.pattern === value)) {
+    throw createError(
+      ERROR_CODES.duplicate,
+      `Title rule already exists: ${value}`
+    );
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(["titleRules"], "readwrite");
+  const store = transaction.objectStore("titleRules");
+
+  return new Promise((resolve, reject) => {
+    const request = store.add({ pattern: value, mode });
+    request.onsuccess = () => {
+      blockListChangedHandler();
+      resolve(request.result); // On success, resolve with the new record's key
+    };
+    request.onerror = () => reject(request.error); // On error, reject the promise
+  });
+};
+/**
+ * Asynchronously retrieves all rules from the "titleRules" object store.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to an array of rule objects,
+ * each with an `id`, a `pattern` and a `mode` ("text" or "regex").
+ */
+const getTitleRules = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["titleRules"], "readonly");
+  const store = transaction.objectStore("titleRules");
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result); // Resolve the promise with the retrieved records
+    request.onerror = () => reject(request.error); // Reject the promise if an error occurs
+  });
+};
+/**
+ * Asynchronously deletes a rule from the "titleRules" object store.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the rule to be deleted.
+ * @returns {Promise<undefined>} A promise that resolves when the rule has been removed.
+ */
+const deleteTitleRule = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["titleRules"], "readwrite");
+  const store = transaction.objectStore("titleRules");
+
+  return new Promise((resolve, reject) => {
+    const request = store.delete(id);
+    request.onsuccess = () => {
+      blockListChangedHandler();
+      resolve(request.result); // Resolve the promise on successful deletion
+    };
+    request.onerror = () => reject(request.error); // Reject the promise if an error occurs
+  });
+};
+/**
+ * Adds a channel to the "allowedAuthors" object store, the approved channels that stay
+ * visible in allow-list mode. The allow-list is kept next to the block list, so switching
+ * modes keeps both. Only exact entries are supported, and they aren't part of any block list.
+ *
+ * @param {Object} author - The channel, see `parseChannelReference` in channelUtils.js.
+ * @param {string} [source="popup"] - Where the channel was approved, see `AUDIT_SOURCES`.
+ * @returns {Promise<IDBValidKey | undefined>} A promise that resolves to the new record's key,
+ * or `undefined` if the channel is already approved.
+ * @rejects {Error} If the name is missing.
+ */
+const addAllowedAuthor = async (author, source = "popup") => {
+  const { name, displayName, channelId, handle, authorKey } =
+    createAuthorRecord({
+      ...author,
+      matchMode: "exact",
+    });
+  const record = { name, displayName, matchMode: "exact", authorKey };
+  if (channelId) {
+    record.channelId = channelId;
+  }
+  if (handle) {
+    record.handle = handle;
+  }
+
+  if ((await findSameAuthorId("allowedAuthors", record)) !== undefined) {
+    return;
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["allowedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("allowedAuthors");
+
+  return new Promise((resolve, reject) => {
+    const request = store.add(record);
+    logAudit(transaction, "allowAuthor", toAuditEntry(record), source);
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve(request.result);
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+/**
+ * Retrieves all approved channels from the "allowedAuthors" object store.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to the approved channel records.
+ */
+const getAllowedAuthors = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["allowedAuthors"], "readonly");
+  const store = transaction.objectStore("allowedAuthors");
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+/**
+ * Removes a channel from the approved channels of the allow-list mode.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the approved channel record.
+ * @param {string} [source="popup"] - Where the approval was removed, see `AUDIT_SOURCES`.
+ * @returns {Promise<undefined>} A promise that resolves once the record has been removed.
+ */
+const deleteAllowedAuthor = async (id, source = "popup") => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    ["allowedAuthors", "auditLog"],
+    "readwrite"
+  );
+  const store = transaction.objectStore("allowedAuthors");
+
+  return new Promise((resolve, reject) => {
+    const existing = store.get(id);
+    existing.onsuccess = () => {
+      if (!existing.result) {
+        return;
+      }
+      store.delete(id);
+      logAudit(
+        transaction,
+        "disallowAuthor",
+        toAuditEntry(existing.result),
+        source
+      );
+    };
+    transaction.oncomplete = () => {
+      blockListChangedHandler();
+      resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+/**
+ * Counts hidden items in the statistics. Each video is counted once per day, no matter
+ * how often or on how many surfaces it was hidden; items without a video ID are ignored.
+ *
+ * @param {Array<{videoId: string, surface: string, channelKey: string, channelName: string}>} items -
+ *        The hidden items reported by the content script.
+ * @param {string} day - The day to count the items on, as "YYYY-MM-DD".
+ * @returns {Promise<number>} A promise that resolves to the number of newly counted items.
+ */
+const recordHiddenItems = async (items, day) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["stats", "hiddenVideos"], "readwrite");
+  const stats = transaction.objectStore("stats");
+  const hiddenVideos = transaction.objectStore("hiddenVideos");
+  let counted = 0;
+
+  // Items are processed one after the other so two items of the same channel never
+  // read the same count before either has written it back
+  const recordItem = (index) => {
+    const item = items[index];
+    if (!item) {
+      return;
+    }
+    if (!item.videoId) {
+      recordItem(index + 1);
+      return;
+    }
+
+    const seen = hiddenVideos.add({ day, videoId: item.videoId });
+    seen.onerror = (event) => {
+      // Already counted today; keep the transaction going
+      event.preventDefault();
+      event.stopPropagation();
+      recordItem(index + 1);
+    };
+    seen.onsuccess = () => {
+      const key = [day, item.surface, item.channelKey || ""];
+      const request = stats.get(key);
+      request.onsuccess = () => {
+        const record = request.result || {
+          day,
+          surface: item.surface,
+          channelKey: item.channelKey || "",
+          count: 0,
+        };
+        record.count += 1;
+        // Keep the latest display name, channels can be renamed
+        record.channelName = item.channelName || record.channelName || "";
+        stats.put(record);
+        counted++;
+        recordItem(index + 1);
+      };
+    };
+  };
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve(counted);
+    transaction.onerror = () => reject(transaction.error);
+    recordItem(0);
+  });
+};
+
+/**
+ * Retrieves all statistics records, i.e. the hidden item counts per day, surface and channel.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to the statistics records.
+ */
+const getStats = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["stats"], "readonly");
+  const store = transaction.objectStore("stats");
 
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Counts the items hidden on one day, on all surfaces and for all channels. Unlike
+ * `getStats`, this doesn't tell which channels were hidden.
+ *
+ * @param {string} day - The day to count, as "YYYY-MM-DD".
+ * @returns {Promise<number>} A promise that resolves to the number of hidden items.
+ */
+const countHiddenOnDay = async (day) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["stats"], "readonly");
+  const index = transaction.objectStore("stats").index("day");
+
+  return new Promise((resolve, reject) => {
+    const request = index.getAll(day);
+    request.onsuccess = () =>
+      resolve(
+        request.result.reduce((total, record) => total + record.count, 0)
+      );
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Deletes the statistics recorded before the given day, enforcing how long they are kept.
+ *
+ * @param {string} oldestDay - The first day to keep, as "YYYY-MM-DD".
+ * @returns {Promise<void>} A promise that resolves once older statistics are deleted.
+ */
+const pruneStats = async (oldestDay) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["stats", "hiddenVideos"], "readwrite");
+  const range = IDBKeyRange.upperBound(oldestDay, true);
+
+  ["stats", "hiddenVideos"].forEach((storeName) => {
+    const index = transaction.objectStore(storeName).index("day");
+    index.openCursor(range).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+  });
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Deletes all statistics.
+ *
+ * @returns {Promise<void>} A promise that resolves once the statistics are reset.
+ */
+const clearStats = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["stats", "hiddenVideos"], "readwrite");
+  transaction.objectStore("stats").clear();
+  transaction.objectStore("hiddenVideos").clear();
+
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Reads a setting from the IndexedDB settings, e.g. which surfaces are filtered.
+ *
+ * @param {string} id - The setting's key.
+ * @param {*} [defaultValue] - The value returned when the setting has never been stored.
+ * @returns {Promise<*>} A promise that resolves to the stored value or the default.
+ */
+const getSetting = async (id, defaultValue) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings"], "readonly");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(id);
+    request.onsuccess = () =>
+      resolve(request.result ? request.result.value : defaultValue);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Writes a record to the IndexedDB settings without notifying the rest of the extension.
+ *
+ * @param {Object} record - The record, keyed by its `id`.
+ * @returns {Promise<void>} A promise that resolves once the record has been stored.
+ */
+const putSettingsRecord = async (record) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings"], "readwrite");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    const request = store.put(record);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Stores a setting in the IndexedDB settings without notifying the rest of the extension,
+ * for settings only this module reads (e.g. the PIN lockout).
+ *
+ * @param {string} id - The setting's key.
+ * @param {*} value - The value to store.
+ * @returns {Promise<void>} A promise that resolves once the setting has been stored.
+ */
+const storeSetting = (id, value) => putSettingsRecord({ id, type: id, value });
+
+/**
+ * The keys of the settings the user chooses in the popup. Only these can be read and
+ * changed through the data API; the other settings records (the PINs, their salt, the
+ * PIN lockout and the recovery codes) are only written by this module's PIN functions.
+ */
+const USER_SETTINGS = [
+  SURFACES_SETTING,
+  FILTER_MODE_SETTING,
+  HIDE_STYLE_SETTING,
+  COMMENT_HIDE_STYLE_SETTING,
+  STATS_RETENTION_SETTING,
+  LOCK_TIMEOUT_SETTING,
+];
+
+/**
+ * Stores a setting in the IndexedDB settings and notifies the open tabs, since
+ * settings change what the content script hides.
+ *
+ * @param {string} id - The setting's key, one of `USER_SETTINGS`. The PIN is set with
+ * `setPIN`, `updatePIN` or `setViewerPIN` instead.
+ * @param {*} value - The value to store.
+ * @returns {Promise<void>} A promise that resolves once the setting has been stored.
+ * @rejects {Error} With the "invalid" code if `id` isn't one of `USER_SETTINGS`.
+ */
+const setSetting = async (id, value) => {
+  if (!USER_SETTINGS.includes(id)) {
+    throw createError(ERROR_CODES.invalid, `Unknown setting: ${id}`);
+  }
+  await storeSetting(id, value);
+  blockListChangedHandler();
+};
+
+/**
+ * The number of PBKDF2 iterations used for new PIN hashes. Stored with each hash so it
+ * can be raised later without invalidating existing PINs.
+ */
+const PIN_HASH_ITERATIONS = 600000;
+
+/**
+ * The number of incorrect PINs allowed before the PIN is locked. Every further incorrect
+ * PIN doubles the lockout, starting at `PIN_LOCKOUT_BASE_MS` and capped at
+ * `PIN_LOCKOUT_MAX_MS`. A correct PIN resets the count.
+ */
+const PIN_FREE_ATTEMPTS = 5;
+const PIN_LOCKOUT_BASE_MS = 30 * 1000;
+const PIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Retrieves the per-install salt for PIN hashes, creating it on first use.
+ *
+ * @returns {Promise<string>} A promise that resolves to the salt.
+ */
+const getPINSalt = async () => {
+  const salt = await getSetting("pinSalt");
+  if (salt) {
+    return salt;
+  }
+  const newSalt = generateSalt();
+  await storeSetting("pinSalt", newSalt);
+  return newSalt;
+};
+
+/**
+ * The settings keys of the PIN records per role. The admin PIN edits everything; the
+ * optional viewer PIN only unlocks the restricted viewer mode.
+ */
+const PIN_RECORD_IDS = { admin: "pin", viewer: "viewerPin" };
+
+/**
+ * Builds the stored PIN record with a salted PBKDF2 hash of the PIN.
+ *
+ * @param {string} pin - The PIN to hash.
+ * @param {string} [role="admin"] - The role the PIN unlocks, see `PIN_RECORD_IDS`.
+ * @returns {Promise<Object>} A promise that resolves to the record for the settings store.
+ */
+const createPINRecord = async (pin, role = "admin") => {
+  const salt = await getPINSalt();
+  return {
+    id: PIN_RECORD_IDS[role],
+    type: "pin",
+    role,
+    algorithm: "PBKDF2-SHA256",
+    salt,
+    iterations: PIN_HASH_ITERATIONS,
+    value: await deriveKeyHash(pin, salt, PIN_HASH_ITERATIONS),
+  };
+};
+
+/**
+ * Reads the stored PIN record of a role.
+ *
+ * @param {string} [role="admin"] - The role, see `PIN_RECORD_IDS`.
+ * @returns {Promise<Object|undefined>} A promise that resolves to the record, or
+ *          `undefined` if no PIN is set for the role.
+ */
+const getPINRecord = async (role = "admin") => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings"], "readonly");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(PIN_RECORD_IDS[role]);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Checks a PIN against a stored PIN record. Records written before PINs were salted
+ * hold a plain SHA-256 hash.
+ *
+ * @param {Object} record - The PIN record, see `createPINRecord`.
+ * @param {string} pin - The PIN to check.
+ * @returns {Promise<boolean>} A promise that resolves to `true` if the PIN matches.
+ */
+const matchesPINRecord = async (record, pin) => {
+  const inputPINHashed = record.algorithm
+    ? await deriveKeyHash(pin, record.salt, record.iterations)
+    : await hashString(pin);
+  return inputPINHashed === record.value;
+};
+
+/**
+ * Describes how long the PIN stays locked, e.g. "45 seconds" or "2 minutes".
+ *
+ * @param {number} milliseconds - The remaining lockout.
+ * @returns {string} The description.
+ */
+const describeLockout = (milliseconds) => {
+  const seconds = Math.ceil(milliseconds / 1000);
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * The PIN or recovery code attempt being checked, if any. See `queuePINAttempt`.
+ */
+let pinAttemptQueue = Promise.resolve();
+
+/**
+ * Runs an attempt to enter the PIN or a recovery code once the attempts before it have
+ * been checked and counted. Checking the lockout, hashing and counting a failure are
+ * separate steps, so attempts running side by side would all pass the lockout check and
+ * store the same count, letting parallel guesses slip past the lockout.
+ *
+ * @param {function(): Promise<*>} attempt - Checks the lockout, then the PIN or code, and
+ *        counts the attempt with `recordPINAttempt`.
+ * @returns {Promise<*>} A promise that settles like the attempt's.
+ */
+const queuePINAttempt = (attempt) => {
+  const result = pinAttemptQueue.then(attempt);
+  // A failed attempt mustn't hold up the ones after it
+  pinAttemptQueue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Reads the count of incorrect PINs and recovery codes and refuses to check another one
+ * while the lockout lasts. Only call it from an attempt run by `queuePINAttempt`.
+ *
+ * @returns {Promise<{failedAttempts: number, lockedUntil: number}>} A promise that resolves
+ *          to the current lockout state.
+ * @rejects {Error} With the "failed" code if the PIN is locked after too many incorrect
+ *          attempts.
+ */
+const checkPINLockout = async () => {
+  const lockout = await getSetting("pinLockout", {
+    failedAttempts: 0,
+    lockedUntil: 0,
+  });
+  const now = Date.now();
+  if (lockout.lockedUntil > now) {
+    throw createError(
+      ERROR_CODES.failed,
+      `Too many incorrect attempts. Try again in ${describeLockout(
+        lockout.lockedUntil - now
+      )}.`
+    );
+  }
+  return lockout;
+};
+
+/**
+ * Counts an attempt to enter the PIN or a recovery code: a correct one resets the count,
+ * an incorrect one increases it and, past `PIN_FREE_ATTEMPTS`, locks the PIN.
+ *
+ * @param {{failedAttempts: number}} lockout - The state returned by `checkPINLockout`.
+ * @param {boolean} succeeded - Whether the attempt was correct.
+ * @returns {Promise<void>} A promise that resolves once the state has been stored.
+ */
+const recordPINAttempt = async (lockout, succeeded) => {
+  if (succeeded) {
+    if (lockout.failedAttempts) {
+      await storeSetting("pinLockout", { failedAttempts: 0, lockedUntil: 0 });
+    }
+    return;
+  }
+
+  const failedAttempts = lockout.failedAttempts + 1;
+  const extraAttempts = failedAttempts - PIN_FREE_ATTEMPTS;
+  await storeSetting("pinLockout", {
+    failedAttempts,
+    lockedUntil:
+      extraAttempts >= 0
+        ? Date.now() +
+          Math.min(PIN_LOCKOUT_BASE_MS * 2 ** extraAttempts, PIN_LOCKOUT_MAX_MS)
+        : 0,
+  });
+};
+
+/**
+ * Sets the first hashed PIN in the IndexedDB settings. The PIN is stored as a salted
+ * PBKDF2 hash, see `createPINRecord`. An existing PIN is never replaced: that takes the
+ * old PIN (`updatePIN`) or a recovery code (`resetPINWithRecoveryCode`).
+ *
+ * @param {string} pin - The PIN to be hashed and set.
+ * @param {string} [source="popup"] - Where the PIN was set, see `AUDIT_SOURCES`.
+ * @returns {Promise<void>} A promise that resolves when the hashed PIN is successfully set.
+ * @rejects {Error} With the "duplicate" code if a PIN is already set, or if there is an
+ * error setting the hashed PIN.
+ */
+const setPIN = async (pin, source = "popup") => {
+  const record = await createPINRecord(pin); // Hash PIN
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings", "auditLog"], "readwrite");
+  const store = transaction.objectStore("settings");
+  let alreadySet = false;
+
+  // Check within the transaction, so two requests can't both set a first PIN
+  return new Promise((resolve, reject) => {
+    const existing = store.get(PIN_RECORD_IDS.admin);
+    existing.onsuccess = () => {
+      if (existing.result) {
+        alreadySet = true;
+        transaction.abort();
+        return;
+      }
+      store.put(record);
+      // Neither the PIN nor its hash is ever written to the log
+      logAudit(transaction, "setPIN", null, source);
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () =>
+      reject(
+        alreadySet
+          ? createError(
+              ERROR_CODES.duplicate,
+              'A PIN is already set. Use "Change PIN" to change it.'
+            )
+          : transaction.error
+      );
+  });
+};
+/**
+ * Verifies if the entered PIN matches the stored hashed PIN in IndexedDB settings.
+ *
+ * Incorrect PINs are counted in the "pinLockout" setting, so the count survives closing
+ * the popup and is shared with the in-page PIN prompts. After `PIN_FREE_ATTEMPTS`
+ * incorrect PINs, the PIN is locked for an increasing time and no PIN is checked until
+ * the lockout has passed. PINs stored as an unsalted SHA-256 hash by earlier versions
+ * are re-hashed with PBKDF2 the first time they are entered correctly.
+ *
+ * @param {string} pin - The PIN to be verified.
+ * @returns {Promise<boolean>} A promise that resolves with a boolean value indicating whether the PIN is verified or not.
+ * @rejects {Error} With the "failed" code if the PIN is locked after too many incorrect
+ *          attempts.
+ */
+const verifyPIN = (pin) =>
+  queuePINAttempt(async () => {
+    const lockout = await checkPINLockout();
+
+    let record;
+    try {
+      record = await getPINRecord();
+    } catch (error) {
+      return false;
+    }
+    if (!record) {
+      return false;
+    }
+
+    // The viewer PIN counts as incorrect here, so it can't be used to reset the lockout
+    const isCorrect = await matchesPINRecord(record, pin);
+    await recordPINAttempt(lockout, isCorrect);
+    if (!isCorrect) {
+      return false;
+    }
+
+    if (!record.algorithm) {
+      // Migrate transparently; the PIN itself doesn't change, so nothing is logged
+      await putSettingsRecord(await createPINRecord(pin));
+    }
+    return true;
+  });
+
+/**
+ * Finds out which role a PIN unlocks, e.g. when logging in to the popup.
+ *
+ * An incorrect PIN counts towards the lockout like in `verifyPIN`. Only the admin PIN
+ * resets the count, so knowing the viewer PIN doesn't help guessing the admin PIN.
+ *
+ * @param {string} pin - The PIN to check.
+ * @returns {Promise<string|null>} A promise that resolves to "admin", "viewer" or `null`
+ *          if the PIN is incorrect.
+ * @rejects {Error} With the "failed" code if the PIN is locked after too many incorrect
+ *          attempts.
+ */
+const identifyPIN = (pin) =>
+  queuePINAttempt(async () => {
+    const lockout = await checkPINLockout();
+    const [adminRecord, viewerRecord] = await Promise.all([
+      getPINRecord("admin"),
+      getPINRecord("viewer"),
+    ]);
+
+    if (adminRecord && (await matchesPINRecord(adminRecord, pin))) {
+      await recordPINAttempt(lockout, true);
+      if (!adminRecord.algorithm) {
+        await putSettingsRecord(await createPINRecord(pin));
+      }
+      return "admin";
+    }
+    if (viewerRecord && (await matchesPINRecord(viewerRecord, pin))) {
+      return "viewer";
+    }
+    await recordPINAttempt(lockout, false);
+    return null;
+  });
+
+/**
+ * Sets the viewer PIN, which unlocks the restricted viewer mode: the viewer can see that
+ * content is filtered and ask for channels to be unblocked, but can't see or edit the list.
+ *
+ * @param {string} pin - The viewer PIN.
+ * @param {string} [source="popup"] - Where the PIN was set, see `AUDIT_SOURCES`.
+ * @returns {Promise<void>} A promise that resolves once the viewer PIN is stored.
+ * @rejects {Error} If the viewer PIN is the same as the admin PIN.
+ */
+const setViewerPIN = async (pin, source = "popup") => {
+  const adminRecord = await getPINRecord("admin");
+  if (adminRecord && (await matchesPINRecord(adminRecord, pin))) {
+    throw createError(
+      ERROR_CODES.invalid,
+      "The viewer PIN must differ from the admin PIN."
+    );
+  }
+  const record = await createPINRecord(pin, "viewer");
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings", "auditLog"], "readwrite");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    store.put(record);
+    logAudit(transaction, "setViewerPIN", null, source);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Removes the viewer PIN, turning the viewer mode off.
+ *
+ * @param {string} [source="popup"] - Where the PIN was removed, see `AUDIT_SOURCES`.
+ * @returns {Promise<void>} A promise that resolves once the viewer PIN is removed.
+ */
+const removeViewerPIN = async (source = "popup") => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings", "auditLog"], "readwrite");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    store.delete(PIN_RECORD_IDS.viewer);
+    logAudit(transaction, "removeViewerPIN", null, source);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Checks whether a viewer PIN is set.
+ *
+ * @returns {Promise<boolean>} A promise that resolves to `true` if a viewer PIN is set.
+ */
+const isViewerPINSet = async () => Boolean(await getPINRecord("viewer"));
+
+/**
+ * Retrieves the unblock requests the admin hasn't decided on yet.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to the pending requests.
+ */
+const getPendingUnblockRequests = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["unblockRequests"], "readonly");
+  const index = transaction.objectStore("unblockRequests").index("status");
+
+  return new Promise((resolve, reject) => {
+    const request = index.getAll("pending");
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Files a request to unblock a channel, e.g. by the viewer from the popup or from a
+ * hidden item on YouTube. A channel with a pending request isn't requested again. The
+ * request remembers the filter mode it was filed in: in allow-list mode, unblocking
+ * means approving the channel.
+ *
+ * @param {Object} request - The request.
+ * @param {Object} request.channel - The channel, `{ name?, displayName, channelId?, handle? }`.
+ * @param {IDBValidKey} [request.authorId] - The blocked author record the channel matched,
+ *        if known.
+ * @param {string} [request.reason] - Why the viewer wants the channel unblocked.
+ * @param {string} [source="popup"] - Where the request was filed, see `AUDIT_SOURCES`.
+ * @returns {Promise<IDBValidKey|undefined>} A promise that resolves to the new request's key,
+ *          or `undefined` if the channel already has a pending request.
+ */
+const addUnblockRequest = async (
+  { channel, authorId, reason = "" },
+  source = "popup"
+) => {
+  const pending = await getPendingUnblockRequests();
+  if (pending.some((request) => isSameAuthor(request.channel, channel))) {
+    return;
+  }
+
+  const mode = await getSetting(FILTER_MODE_SETTING, FILTER_MODES[0].id);
+  const db = await openDatabase();
+  const transaction = db.transaction(["unblockRequests"], "readwrite");
+  const store = transaction.objectStore("unblockRequests");
+
+  return new Promise((resolve, reject) => {
+    const request = store.add({
+      channel,
+      authorId,
+      mode,
+      reason: reason.trim(),
+      source: AUDIT_SOURCES.includes(source) ? source : "popup",
+      status: "pending",
+      createdAt: Date.now(),
+    });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Retrieves all unblock requests, oldest first.
+ *
+ * @returns {Promise<Array<Object>>} A promise that resolves to the unblock requests.
+ */
+const getUnblockRequests = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["unblockRequests"], "readonly");
+  const store = transaction.objectStore("unblockRequests");
+
+  return new Promise((resolve, reject) => {
+    const request = store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Records the admin's decision on an unblock request.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the request.
+ * @param {string} status - Either "approved" or "denied".
+ * @returns {Promise<void>} A promise that resolves once the decision is stored.
+ */
+const decideUnblockRequest = async (id, status) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(["unblockRequests"], "readwrite");
+  const store = transaction.objectStore("unblockRequests");
+
+  return new Promise((resolve, reject) => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, status, decidedAt: Date.now() });
+      }
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Tells whether a block list entry is one an unblock request without an author record
+ * asks to remove. A request typed in the popup may only carry the channel's name, while
+ * the entry has since been upgraded with the channel's identifiers (which `isSameAuthor`
+ * then compares instead of names), so such a request is also matched by the entry's
+ * name or display name.
+ *
+ * @param {Object} author - The author record from the "blockedAuthors" object store.
+ * @param {Object} channel - The channel of the request.
+ * @returns {boolean} `true` if the request is for this entry.
+ */
+const isRequestedAuthor = (author, channel) => {
+  if (isSameAuthor(author, channel)) {
+    return true;
+  }
+  if (
+    channel.channelId ||
+    channel.handle ||
+    !channel.name ||
+    (author.matchMode || "exact") !== "exact"
+  ) {
+    return false;
+  }
+  const name = channel.name.toLowerCase();
+  return [author.name, author.displayName].some(
+    (authorName) => authorName && authorName.toLowerCase() === name
+  );
+};
+
+/**
+ * Approves an unblock request by removing the channel from the block list with
+ * `deleteAuthors`: the author record the request was filed for, or else every exact
+ * entry for the channel. Pattern entries matching the channel are left alone, since
+ * they also block other channels. Requests filed in allow-list mode add the channel to
+ * the approved channels instead.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the request.
+ * @returns {Promise<number>} A promise that resolves to the number of entries changed.
+ * @rejects {Error} With the "failed" code if no block list entry is for the channel
+ * (e.g. it was removed or is only blocked by a pattern); the request then stays pending.
+ */
+const approveUnblockRequest = async (id) => {
+  const [requests, authors] = await Promise.all([
+    getUnblockRequests(),
+    getAuthors(),
+  ]);
+  const request = requests.find((entry) => entry.id === id);
+  if (!request) {
+    return 0;
+  }
+  if (request.mode === "allow") {
+    const added = await addAllowedAuthor(request.channel);
+    await decideUnblockRequest(id, "approved");
+    return added === undefined ? 0 : 1;
+  }
+
+  const matching = authors.filter((author) =>
+    request.authorId !== undefined
+      ? author.id === request.authorId
+      : isRequestedAuthor(author, request.channel)
+  );
+  if (!matching.length) {
+    throw createError(
+      ERROR_CODES.failed,
+      "No block list entry is for this channel. Remove the entry that blocks it by hand, or deny the request."
+    );
+  }
+  const deleted = await deleteAuthors(matching.map((author) => author.id));
+  await decideUnblockRequest(id, "approved");
+  return deleted;
+};
+
+/**
+ * Denies an unblock request; the block list is left unchanged.
+ *
+ * @param {IDBValidKey} id - The unique identifier of the request.
+ * @returns {Promise<void>} A promise that resolves once the decision is stored.
+ */
+const denyUnblockRequest = (id) => decideUnblockRequest(id, "denied");
+
+/**
+ * Updates the hashed PIN in the IndexedDB settings.
+ *
+ * @param {string} oldPIN - The current PIN.
+ * @param {string} newPIN - The new PIN to be hashed and set.
+ * @param {string} [source="popup"] - Where the PIN was changed, see `AUDIT_SOURCES`.
+ * @returns {Promise<void>} A promise that resolves when the hashed PIN is successfully updated.
+ * @rejects {Error} If the old PIN is incorrect or locked, or there is an error updating the hashed PIN.
+ */
+const updatePIN = async (oldPIN, newPIN, source = "popup") => {
   // Verify the old PIN
   const isOldPINVerified = await verifyPIN(oldPIN);
 
   if (!isOldPINVerified) {
-    throw new Error("Old PIN is incorrect.");
+    throw createError(ERROR_CODES.invalid, "Old PIN is incorrect.");
   }
 
+  // Hash the new PIN
+  const newRecord = await createPINRecord(newPIN);
+
   // Update the hashed PIN in the database
   const db = await openDatabase();
-  const transaction = db.transaction(["settings"], "readwrite");
+  const transaction = db.transaction(["settings", "auditLog"], "readwrite");
   const store = transaction.objectStore("settings");
 
   return new Promise((resolve, reject) => {
-    const request = store.put({ id: "pin", type: "pin", value: newHashedPIN });
-    request.onsuccess = () => resolve();
-    request.onerror = (e) => reject(e.target.error);
+    store.put(newRecord);
+    logAudit(transaction, "updatePIN", null, source);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+/**
+ * The number of recovery codes created at a time, and the PBKDF2 iterations used to
+ * hash them. Recovery codes carry far more entropy than a PIN, so fewer iterations are
+ * needed to make guessing them impractical.
+ */
+const RECOVERY_CODE_COUNT = 8;
+const RECOVERY_CODE_ITERATIONS = 100000;
+
+/**
+ * Normalizes a recovery code as typed by the user: case and separators don't matter.
+ *
+ * @param {string} code - The recovery code.
+ * @returns {string} The normalized code.
+ */
+const normalizeRecoveryCode = (code) =>
+  code.toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Creates a new set of one-time recovery codes that can reset a forgotten PIN, replacing
+ * any previous set. Only the codes' salted hashes are stored, so they have to be shown to
+ * the user right away.
+ *
+ * @param {string} [source="popup"] - Where the codes were created, see `AUDIT_SOURCES`.
+ * @returns {Promise<Array<string>>} A promise that resolves to the new recovery codes.
+ */
+const createRecoveryCodes = async (source = "popup") => {
+  const codes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    generateRecoveryCode
+  );
+  const salt = await getPINSalt();
+  const hashes = await Promise.all(
+    codes.map((code) =>
+      deriveKeyHash(normalizeRecoveryCode(code), salt, RECOVERY_CODE_ITERATIONS)
+    )
+  );
+
+  const db = await openDatabase();
+  const transaction = db.transaction(["settings", "auditLog"], "readwrite");
+  const store = transaction.objectStore("settings");
+
+  return new Promise((resolve, reject) => {
+    store.put({
+      id: "recoveryCodes",
+      type: "recoveryCodes",
+      value: { salt, iterations: RECOVERY_CODE_ITERATIONS, hashes },
+    });
+    logAudit(transaction, "createRecoveryCodes", null, source);
+    transaction.oncomplete = () => resolve(codes);
+    transaction.onerror = () => reject(transaction.error);
   });
 };
+
+/**
+ * Counts the recovery codes that haven't been used yet.
+ *
+ * @returns {Promise<number>} A promise that resolves to the number of unused codes.
+ */
+const getRecoveryCodeCount = async () => {
+  const recoveryCodes = await getSetting("recoveryCodes");
+  return recoveryCodes ? recoveryCodes.hashes.length : 0;
+};
+
+/**
+ * Looks up a recovery code among the unused ones. Incorrect codes count towards the
+ * same lockout as incorrect PINs.
+ *
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {Promise<{recoveryCodes: Object|undefined, index: number}>} A promise that resolves
+ *          to the stored codes and the index of the matching hash, or -1.
+ * @rejects {Error} With the "failed" code if the PIN is locked after too many incorrect
+ *          attempts.
+ */
+const findRecoveryCode = async (code) => {
+  const lockout = await checkPINLockout();
+  const recoveryCodes = await getSetting("recoveryCodes");
+  let index = -1;
+  if (recoveryCodes) {
+    const hash = await deriveKeyHash(
+      normalizeRecoveryCode(code),
+      recoveryCodes.salt,
+      recoveryCodes.iterations
+    );
+    index = recoveryCodes.hashes.indexOf(hash);
+  }
+  await recordPINAttempt(lockout, index !== -1);
+  return { recoveryCodes, index };
+};
+
+/**
+ * Checks a recovery code without using it up, so the user can choose a new PIN next.
+ *
+ * @param {string} code - The recovery code entered by the user.
+ * @returns {Promise<boolean>} A promise that resolves to `true` if the code is valid and unused.
+ * @rejects {Error} With the "failed" code if the PIN is locked after too many incorrect
+ *          attempts.
+ */
+const verifyRecoveryCode = (code) =>
+  queuePINAttempt(async () => (await findRecoveryCode(code)).index !== -1);
+
+/**
+ * Resets a forgotten PIN with a recovery code. The code is used up and the new PIN is
+ * stored in the same transaction; the block list and all other data are left intact.
+ * Like the other attempts it waits for its turn (see `queuePINAttempt`), so a code can't
+ * be used twice by resets running side by side.
+ *
+ * @param {string} code - The recovery code entered by the user.
+ * @param {string} newPIN - The new PIN.
+ * @param {string} [source="popup"] - Where the PIN was reset, see `AUDIT_SOURCES`.
+ * @returns {Promise<number>} A promise that resolves to the number of codes left.
+ * @rejects {Error} If the code is invalid or used, or the PIN is locked.
+ */
+const resetPINWithRecoveryCode = (code, newPIN, source = "popup") =>
+  queuePINAttempt(async () => {
+    const { recoveryCodes, index } = await findRecoveryCode(code);
+    if (index === -1) {
+      throw createError(
+        ERROR_CODES.invalid,
+        "Invalid or already used recovery code."
+      );
+    }
+    const hashes = recoveryCodes.hashes.filter((hash, i) => i !== index);
+    const pinRecord = await createPINRecord(newPIN);
+
+    const db = await openDatabase();
+    const transaction = db.transaction(["settings", "auditLog"], "readwrite");
+    const store = transaction.objectStore("settings");
+
+    return new Promise((resolve, reject) => {
+      store.put({
+        id: "recoveryCodes",
+        type: "recoveryCodes",
+        value: { ...recoveryCodes, hashes },
+      });
+      store.put(pinRecord);
+      logAudit(
+        transaction,
+        "resetPIN",
+        { remainingRecoveryCodes: hashes.length },
+        source
+      );
+      transaction.oncomplete = () => resolve(hashes.length);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  });
+
 /**
  * Checks if a PIN is already set in the IndexedDB settings.
  * If a PIN is set, it means the user should be directed to the login view.
@@ -278,6 +2372,7 @@ const updatePIN = async (oldPIN, newPIN) => {
  * @returns {Promise<boolean>} A promise that resolves with `true` if a PIN is set,
  * or `false` if a PIN is not set, indicating that the user should be directed
  * to set a new PIN.
+ * @rejects {DOMException} If the settings can't be read.
  */
 const isPINSet = async () => {
   const db = await openDatabase();
@@ -285,7 +2380,7 @@ const isPINSet = async () => {
   const store = transaction.objectStore("settings");
   const request = store.get("pin");
 
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
     request.onsuccess = () => {
       if (request.result) {
         // PIN is set
@@ -295,10 +2390,8 @@ const isPINSet = async () => {
         resolve(false);
       }
     };
-    request.onerror = () => {
-      // Handle error - consider PIN not set for safety
-      resolve(false);
-    };
+    // Don't treat an unreadable PIN as not set, which would offer to set a new one
+    request.onerror = () => reject(request.error);
   });
 };
 
@@ -310,25 +2403,110 @@ const isPINSet = async () => {
  * YouTube authors from a block list, as well as setting, verifying, and updating a user's PIN.
  *
  * Functions:
+ * - AUTHOR_MATCH_MODES: The supported match modes for author entries (a constant).
+ * - isSameAuthor: Compares two author entries with the block list's uniqueness rules.
+ * - createAuthorRecord: Validates an author entry and builds the record to store.
+ * - authorExists: Checks whether an author is already on the block list.
  * - addAuthor: Adds a new author to the block list in the IndexedDB.
+ * - addAuthors: Adds several authors to the block list in a single transaction.
+ * - replaceAuthors: Replaces the whole block list in a single transaction.
+ * - updateAuthor: Merges new fields (e.g. channel ID or handle) into an existing author.
+ * - setAuthorSchedule: Sets or removes the weekly schedule of a blocked author.
  * - getAuthors: Retrieves all authors from the block list in the IndexedDB.
  * - deleteAuthor: Deletes an author from the block list in the IndexedDB.
+ * - deleteAuthors: Deletes several authors from the block list in a single transaction.
  * - clearAuthors: Clears all authors from the block list in the IndexedDB.
- * - setPIN: Sets or updates the user's PIN in the IndexedDB settings.
+ * - getLists: Retrieves all named block lists from the IndexedDB.
+ * - addList: Creates a new named block list.
+ * - renameList: Renames a block list.
+ * - setListEnabled: Turns a block list on or off.
+ * - setListSchedule: Sets or removes the weekly schedule of a block list.
+ * - deleteList: Deletes a block list together with the entries only it contained.
+ * - addTitleRule: Adds a plain-text or regex rule that hides videos by title.
+ * - getTitleRules: Retrieves all title rules from the IndexedDB.
+ * - deleteTitleRule: Deletes a title rule from the IndexedDB.
+ * - addAllowedAuthor: Approves a channel for the allow-list mode.
+ * - getAllowedAuthors: Retrieves the approved channels of the allow-list mode.
+ * - deleteAllowedAuthor: Removes a channel from the approved channels.
+ * - setBlockListChangedHandler: Replaces the notification sent after the block list changes.
+ * - recordHiddenItems: Counts hidden items in the statistics, once per video and day.
+ * - getStats: Retrieves the hidden item counts per day, surface and channel.
+ * - pruneStats: Deletes statistics older than the retention period.
+ * - clearStats: Deletes all statistics.
+ * - USER_SETTINGS: The keys of the settings the user chooses in the popup (a constant).
+ * - getSetting: Reads a setting from the IndexedDB settings.
+ * - setSetting: Stores a setting in the IndexedDB settings.
+ * - setPIN: Sets the user's first PIN in the IndexedDB settings.
  * - verifyPIN: Verifies if the entered PIN matches the stored PIN in the IndexedDB settings.
  * - updatePIN: Updates the user's PIN in the IndexedDB settings.
+ * - createRecoveryCodes: Creates one-time codes that can reset a forgotten PIN.
+ * - getRecoveryCodeCount: Counts the unused recovery codes.
+ * - verifyRecoveryCode: Checks a recovery code without using it up.
+ * - resetPINWithRecoveryCode: Uses up a recovery code to set a new PIN.
+ * - identifyPIN: Finds out whether a PIN is the admin or the viewer PIN.
+ * - setViewerPIN: Sets the PIN of the restricted viewer mode.
+ * - removeViewerPIN: Removes the viewer PIN, turning the viewer mode off.
+ * - isViewerPINSet: Checks whether a viewer PIN is set.
+ * - addUnblockRequest: Files a viewer's request to unblock a channel.
+ * - getUnblockRequests: Retrieves all unblock requests.
+ * - approveUnblockRequest: Removes the requested channel from the block list.
+ * - denyUnblockRequest: Denies an unblock request.
+ * - getAuditLog: Retrieves the log of changes to the block list and PIN.
  * - isPINSet: Checks if a PIN is already set in the IndexedDB settings.
  *
- * Each function interacts with the IndexedDB database asynchronously and returns a Promise,
- * making it suitable for use in asynchronous workflows.
+ * Each function that touches the IndexedDB database does so asynchronously and returns a
+ * Promise, making it suitable for use in asynchronous workflows.
  */
 export {
+  AUTHOR_MATCH_MODES,
+  isSameAuthor,
+  createAuthorRecord,
+  authorExists,
   addAuthor,
+  addAuthors,
+  replaceAuthors,
+  updateAuthor,
+  setAuthorSchedule,
   getAuthors,
   deleteAuthor,
+  deleteAuthors,
   clearAuthors,
+  getLists,
+  addList,
+  renameList,
+  setListEnabled,
+  setListSchedule,
+  deleteList,
+  addTitleRule,
+  getTitleRules,
+  deleteTitleRule,
+  addAllowedAuthor,
+  getAllowedAuthors,
+  deleteAllowedAuthor,
+  setBlockListChangedHandler,
+  recordHiddenItems,
+  getStats,
+  countHiddenOnDay,
+  pruneStats,
+  clearStats,
+  USER_SETTINGS,
+  getSetting,
+  setSetting,
   setPIN,
   verifyPIN,
   updatePIN,
   isPINSet,
+  createRecoveryCodes,
+  getRecoveryCodeCount,
+  verifyRecoveryCode,
+  resetPINWithRecoveryCode,
+  identifyPIN,
+  setViewerPIN,
+  removeViewerPIN,
+  isViewerPINSet,
+  addUnblockRequest,
+  getUnblockRequests,
+  approveUnblockRequest,
+  denyUnblockRequest,
+  getAuditLog,
 };
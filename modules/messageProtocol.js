@@ -0,0 +1,40 @@
+/**
+ * The version of the message protocol between the background service worker, which owns
+ * all database access, and its clients (the popup and the content script). Requests carry
+ * it so a client left over from before an extension update gets a clear error instead of
+ * a misread response. Bump it whenever an action changes its parameters or its data.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * The codes of the errors in a failed response:
+ * - "unsupported_version": the request was made with another protocol version.
+ * - "unknown_action": the background service doesn't know the action.
+ * - "forbidden": the action can't be requested from a YouTube tab.
+ * - "locked": the action needs an unlock session (of the admin, for most actions).
+ * - "duplicate": the entry (e.g. an author, list or title rule) already exists.
+ * - "invalid": the input was rejected, e.g. an empty name, a broken regex or a wrong PIN.
+ * - "storage": the database couldn't be opened, read or written.
+ * - "failed": the action failed for another reason; the message says why.
+ */
+export const ERROR_CODES = {
+  unsupportedVersion: "unsupported_version",
+  unknownAction: "unknown_action",
+  forbidden: "forbidden",
+  locked: "locked",
+  duplicate: "duplicate",
+  invalid: "invalid",
+  storage: "storage",
+  failed: "failed",
+};
+
+/**
+ * Creates an error carrying one of the `ERROR_CODES`, so the popup can tell e.g. a
+ * duplicate entry from a storage failure and show it next to the field it concerns.
+ *
+ * @param {string} code - One of the `ERROR_CODES`.
+ * @param {string} message - The message to show to the user.
+ * @returns {Error} The error, with its `code`.
+ */
+export const createError = (code, message) =>
+  Object.assign(new Error(message), { code });
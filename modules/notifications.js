@@ -0,0 +1,119 @@
+import { ERROR_CODES } from "./messageProtocol.js";
+
+/**
+ * How long a notification stays visible, in milliseconds. Errors stay a bit longer so
+ * there is time to read them.
+ */
+const TOAST_DURATION = { success: 3000, info: 4000, error: 6000 };
+
+/**
+ * Finds the element the popup's notifications are stacked in, creating it on first use.
+ * It lives outside the views' content, so a notification survives a change of view, e.g.
+ * "PIN changed" after going back to the main view.
+ *
+ * @returns {HTMLElement} The container of the notifications.
+ */
+const getToastContainer = () => {
+  let container = document.getElementById("toasts");
+  if (!container) {
+    container = document.createElement("div");
+    container.id = "toasts";
+    // Screen readers announce new notifications without moving the focus
+    container.setAttribute("role", "status");
+    container.setAttribute("aria-live", "polite");
+    document.body.appendChild(container);
+  }
+  return container;
+};
+
+/**
+ * How long a notification with an action, e.g. "Undo", stays visible, in milliseconds.
+ */
+const ACTION_TOAST_DURATION = 8000;
+
+/**
+ * Shows a short notification at the bottom of the popup (or of the YouTube page, for the
+ * content script), which disappears on its own or when clicked. Unlike `alert()`, it
+ * doesn't block the page. It can offer one action, e.g. undoing a deletion, which can be
+ * used until the notification disappears.
+ *
+ * @param {string} message - The text of the notification.
+ * @param {string} [type="info"] - "success", "info" or "error", which sets its color.
+ * @param {Object} [options={}] - More options.
+ * @param {{label: string, onClick: Function}} [options.action] - A button shown in the
+ *        notification. Clicking it removes the notification and calls `onClick`.
+ * @returns {HTMLElement} The notification element.
+ */
+export const showToast = (message, type = "info", { action } = {}) => {
+  const toast = document.createElement("div");
+  toast.className = `toast ${type}`;
+  toast.textContent = message;
+  toast.addEventListener("click", () => toast.remove());
+  if (action) {
+    const button = document.createElement("button");
+    button.className = "toastAction";
+    button.textContent = action.label;
+    button.addEventListener("click", () => action.onClick());
+    toast.appendChild(button);
+  }
+  getToastContainer().appendChild(toast);
+  const duration = action
+    ? ACTION_TOAST_DURATION
+    : TOAST_DURATION[type] || TOAST_DURATION.info;
+  setTimeout(() => toast.remove(), duration);
+  return toast;
+};
+
+/**
+ * Removes the inline error shown for a field, if any.
+ *
+ * @param {HTMLElement} field - The input or select.
+ */
+export const clearFieldError = (field) => {
+  field.classList.remove("error");
+  field.removeAttribute("aria-invalid");
+  const message = field.nextElementSibling;
+  if (message && message.classList.contains("fieldError")) {
+    message.remove();
+  }
+};
+
+/**
+ * Shows an error right below a field and highlights the field, e.g. for an empty name or
+ * a PIN in the wrong format. The error is removed as soon as the field is edited.
+ *
+ * @param {HTMLElement} field - The input or select the error concerns.
+ * @param {string} message - The error message.
+ */
+export const showFieldError = (field, message) => {
+  clearFieldError(field);
+  const text = document.createElement("p");
+  text.className = "fieldError";
+  text.textContent = message;
+  field.after(text);
+  field.classList.add("error");
+  field.setAttribute("aria-invalid", "true");
+  field.addEventListener("input", () => clearFieldError(field), {
+    once: true,
+  });
+};
+
+/**
+ * Shows a failed request to the user. Errors about the entered value (see `ERROR_CODES`:
+ * "invalid" or "duplicate") are shown inline below the field when there is one; all
+ * others, e.g. storage failures, as an error notification.
+ *
+ * @param {Error} error - The error, typically rejected by a dataClient.js request.
+ * @param {HTMLElement} [field] - The field whose value was rejected, if any.
+ */
+export const showError = (error, field) => {
+  const message = error.message || String(error);
+  if (
+    field &&
+    (error.code === ERROR_CODES.invalid || error.code === ERROR_CODES.duplicate)
+  ) {
+    showFieldError(field, message);
+    return;
+  }
+  showToast(message, "error");
+};
@@ -0,0 +1,146 @@
+/**
+ * Short day names indexed like `Date.prototype.getDay()` (0 = Sunday).
+ */
+export const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+/**
+ * Converts an "HH:MM" time of day to minutes since midnight.
+ *
+ * @param {string} time - The time of day, e.g. "15:00".
+ * @returns {number} The minutes since midnight.
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Checks that a weekly schedule can be stored.
+ *
+ * A schedule is `{ days, start, end }`: the days of the week it applies to (0 = Sunday)
+ * and a daily "HH:MM" window. A window whose end is before its start runs overnight into
+ * the next day; equal start and end times cover the whole day.
+ *
+ * @param {Object} schedule - The schedule to validate.
+ * @throws {Error} If no day is selected or a time is not in "HH:MM" format.
+ */
+export const validateSchedule = (schedule) => {
+  if (
+    !schedule ||
+    !Array.isArray(schedule.days) ||
+    !schedule.days.length ||
+    schedule.days.some((day) => !Number.isInteger(day) || day < 0 || day > 6)
+  ) {
+    throw new Error("Choose at least one day for the schedule.");
+  }
+  [schedule.start, schedule.end].forEach((time) => {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || "")) {
+      throw new Error("Schedule times must be in HH:MM format.");
+    }
+  });
+};
+
+/**
+ * Checks whether a weekly schedule's window is active at the given time.
+ * Entries without a schedule are always active.
+ *
+ * @param {Object|null|undefined} schedule - The schedule, see `validateSchedule`.
+ * @param {Date} [date=new Date()] - The point in time to check.
+ * @returns {boolean} `true` if the window is active.
+ */
+export const isScheduleActive = (schedule, date = new Date()) => {
+  if (!schedule) {
+    return true;
+  }
+
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(schedule.start);
+  const end = toMinutes(schedule.end);
+  const isScheduledDay = (weekDay) => schedule.days.includes(weekDay);
+
+  if (start === end) {
+    return isScheduledDay(day);
+  }
+  if (start < end) {
+    return isScheduledDay(day) && minutes >= start && minutes < end;
+  }
+  // Overnight window: from the start on a scheduled day until the end on the next day
+  return (
+    (isScheduledDay(day) && minutes >= start) ||
+    (isScheduledDay((day + 6) % 7) && minutes < end)
+  );
+};
+
+/**
+ * Finds the next moment at which any of the given schedules may start or end.
+ * Activity can only change at one of the schedules' start or end times, so the
+ * earliest of those times after `date` within the coming week is returned.
+ *
+ * @param {Array<Object>} schedules - The schedules to consider.
+ * @param {Date} [date=new Date()] - The point in time to search from.
+ * @returns {Date|null} The next boundary, or `null` if there are no schedules.
+ */
+export const nextScheduleChange = (schedules, date = new Date()) => {
+  const times = new Set();
+  schedules.forEach((schedule) => {
+    times.add(toMinutes(schedule.start));
+    times.add(toMinutes(schedule.end));
+  });
+  if (!times.size) {
+    return null;
+  }
+
+  let next = null;
+  for (let offset = 0; offset <= 7; offset++) {
+    times.forEach((minutes) => {
+      const candidate = new Date(date);
+      candidate.setDate(date.getDate() + offset);
+      candidate.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+      if (candidate > date && (!next || candidate < next)) {
+        next = candidate;
+      }
+    });
+  }
+  return next;
+};
+
+/**
+ * Builds a short description of a schedule for the popup, e.g. "Mon–Fri 15:00–19:00".
+ *
+ * @param {Object} schedule - The schedule, see `validateSchedule`.
+ * @returns {string} The description.
+ */
+export const describeSchedule = (schedule) => {
+  const days = [...schedule.days].sort();
+  const isRange =
+    days.length > 2 && days[days.length - 1] - days[0] === days.length - 1;
+  const dayLabel =
+    days.length === 7
+      ? "Every day"
+      : isRange
+      ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]}`
+      : days.map((day) => DAY_NAMES[day]).join(", ");
+  return `${dayLabel} ${schedule.start}–${schedule.end}`;
+};
+
+/**
+ * Describes how long a temporary block has left, e.g. "2d 4h left" or "35m left".
+ *
+ * @param {number} expiresAt - The expiry time in milliseconds since the epoch.
+ * @param {number} [now=Date.now()] - The current time in milliseconds since the epoch.
+ * @returns {string} The description.
+ */
+export const describeTimeLeft = (expiresAt, now = Date.now()) => {
+  const minutes = Math.max(0, Math.ceil((expiresAt - now) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days) {
+    return `${days}d ${hours}h left`;
+  }
+  if (hours) {
+    return `${hours}h ${minutes % 60}m left`;
+  }
+  return `${minutes}m left`;
+};
@@ -0,0 +1,15 @@
+/**
+ * The key of the setting that stores after how many idle minutes an unlock session ends.
+ */
+export const LOCK_TIMEOUT_SETTING = "lockTimeoutMinutes";
+
+/**
+ * The choices for the idle timeout of an unlock session, in minutes. The first one is
+ * the default.
+ */
+export const LOCK_TIMEOUT_CHOICES = [
+  { id: "5", label: "Lock after 5 idle minutes" },
+  { id: "15", label: "Lock after 15 idle minutes" },
+  { id: "30", label: "Lock after 30 idle minutes" },
+  { id: "60", label: "Lock after an idle hour" },
+];
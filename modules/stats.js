@@ -0,0 +1,111 @@
+/**
+ * The key of the setting that stores for how many days statistics are kept.
+ */
+export const STATS_RETENTION_SETTING = "statsRetentionDays";
+
+/**
+ * The choices for how long statistics are kept, in days. The first one is the default.
+ */
+export const STATS_RETENTION_CHOICES = [
+  { id: "90", label: "Keep statistics for 90 days" },
+  { id: "30", label: "Keep statistics for 30 days" },
+  { id: "7", label: "Keep statistics for 7 days" },
+  { id: "365", label: "Keep statistics for a year" },
+];
+
+/**
+ * Formats a date as the local "YYYY-MM-DD" day the statistics are grouped by.
+ *
+ * @param {Date} [date=new Date()] - The date to format.
+ * @returns {string} The day key.
+ */
+export const toDayKey = (date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+};
+
+/**
+ * Finds the first day whose statistics are still kept.
+ *
+ * @param {number} retentionDays - For how many days statistics are kept, today included.
+ * @param {Date} [date=new Date()] - The current date.
+ * @returns {string} The day key of the oldest day to keep.
+ */
+export const oldestKeptDay = (retentionDays, date = new Date()) => {
+  const oldest = new Date(date);
+  oldest.setDate(date.getDate() - (retentionDays - 1));
+  return toDayKey(oldest);
+};
+
+/**
+ * Sums the count of each group of statistics records, most counted first.
+ *
+ * @param {Array<Object>} records - The statistics records.
+ * @param {Function} getKey - Returns the key a record is grouped by.
+ * @returns {Array<{key: string, record: Object, count: number}>} The groups with the
+ *          latest record of each group.
+ */
+const groupCounts = (records, getKey) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = getKey(record);
+    const group = groups.get(key) || { key, record, count: 0 };
+    group.count += record.count;
+    if (record.day >= group.record.day) {
+      group.record = record;
+    }
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Summarizes the statistics records for the stats view.
+ *
+ * Items hidden by a title rule on a tile that doesn't show its channel are counted
+ * under an empty channel key and left out of the channel ranking.
+ *
+ * @param {Array<Object>} records - The records from the "stats" object store.
+ * @param {number} [trendDays=14] - How many days the daily trend covers, today included.
+ * @param {Date} [date=new Date()] - The current date.
+ * @returns {{total: number, today: number, lastWeek: number,
+ *            surfaces: Array<{surface: string, count: number}>,
+ *            channels: Array<{name: string, count: number}>,
+ *            daily: Array<{day: string, count: number}>}} The summary.
+ */
+export const summarizeStats = (records, trendDays = 14, date = new Date()) => {
+  const today = toDayKey(date);
+  const weekStart = oldestKeptDay(7, date);
+  const sum = (filtered) =>
+    filtered.reduce((total, record) => total + record.count, 0);
+
+  const daily = [];
+  for (let offset = trendDays - 1; offset >= 0; offset--) {
+    const day = new Date(date);
+    day.setDate(date.getDate() - offset);
+    const dayKey = toDayKey(day);
+    daily.push({
+      day: dayKey,
+      count: sum(records.filter((record) => record.day === dayKey)),
+    });
+  }
+
+  return {
+    total: sum(records),
+    today: sum(records.filter((record) => record.day === today)),
+    lastWeek: sum(records.filter((record) => record.day >= weekStart)),
+    surfaces: groupCounts(records, (record) => record.surface).map(
+      ({ key, count }) => ({ surface: key, count })
+    ),
+    channels: groupCounts(
+      records.filter((record) => record.channelKey),
+      (record) => record.channelKey
+    ).map(({ key, record, count }) => ({
+      name: record.channelName || key,
+      count,
+    })),
+    daily,
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * The key of the setting that stores which surfaces are filtered, as
+ * `{ [surfaceId]: boolean }`. Surfaces missing from the setting are filtered.
+ */
+export const SURFACES_SETTING = "surfaces";
+
+/**
+ * The key of the setting that chooses whether the block list or the allow-list applies.
+ */
+export const FILTER_MODE_SETTING = "filterMode";
+
+/**
+ * The filter modes: hide the blocked channels, or hide everything except the approved
+ * channels. Both lists are kept, whichever mode is on. The first one is the default.
+ */
+export const FILTER_MODES = [
+  { id: "block", label: "Block-list mode: hide blocked channels" },
+  { id: "allow", label: "Allow-list mode: show only approved channels" },
+];
+
+/**
+ * The key of the setting that chooses how items from blocked channels are hidden.
+ */
+export const HIDE_STYLE_SETTING = "hideStyle";
+
+/**
+ * The ways a video tile or other listed item can be hidden: removed from the layout,
+ * blurred, or replaced by a compact placeholder with a "Show anyway" action that asks for
+ * the PIN. The first one is the default.
+ */
+export const HIDE_STYLES = [
+  { id: "remove", label: "Remove hidden videos" },
+  { id: "blur", label: "Blur hidden videos" },
+  { id: "placeholder", label: "Replace hidden videos with a placeholder" },
+];
+
+/**
+ * The key of the setting that chooses how comments from blocked channels are hidden.
+ */
+export const COMMENT_HIDE_STYLE_SETTING = "commentHideStyle";
+
+/**
+ * The ways a comment from a blocked channel can be hidden: removed entirely, or collapsed
+ * to a "Comment from blocked channel" placeholder. The first one is the default.
+ */
+export const COMMENT_HIDE_STYLES = [
+  { id: "remove", label: "Remove comments from blocked channels" },
+  { id: "placeholder", label: "Collapse comments from blocked channels" },
+];
+
+/**
+ * The parts of YouTube the content script filters, in the order they are listed in the
+ * popup. The ids must match the surfaces known to the content script.
+ */
+export const SURFACES = [
+  { id: "feed", label: "Home and subscription feeds" },
+  { id: "search", label: "Search results" },
+  { id: "upNext", label: "Sidebar recommendations" },
+  { id: "endScreen", label: "End screens" },
+  { id: "playlists", label: "Playlists and mixes" },
+  { id: "shorts", label: "Shorts" },
+  { id: "comments", label: "Comments and replies" },
+  { id: "watchPage", label: "Watch pages" },
+  { id: "channelPage", label: "Channel pages" },
+];
+
+/**
+ * Checks whether a surface is filtered according to the stored setting.
+ *
+ * @param {Object} surfaces - The stored surfaces setting.
+ * @param {string} surfaceId - The id of the surface.
+ * @returns {boolean} `true` unless the surface was turned off.
+ */
+export const isSurfaceEnabled = (surfaces, surfaceId) =>
+  !surfaces || surfaces[surfaceId] !== false;
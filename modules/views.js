@@ -2,30 +2,336 @@ import { createButton } from "./buttonUI.js";
 import { deleteBtnFnc } from "./buttonLogic.js";
 import {
   addAuthor,
-  deleteAuthor,
+  addAuthors,
+  replaceAuthors,
   getAuthors,
+  updateAuthor,
+  setAuthorSchedule,
+  removeAuthorsLater,
+  cancelAuthorsRemoval,
+  getLists,
+  addList,
+  renameList,
+  setListEnabled,
+  setListSchedule,
+  deleteList,
+  addTitleRule,
+  getTitleRules,
+  deleteTitleRule,
+  addAllowedAuthor,
+  getAllowedAuthors,
+  deleteAllowedAuthor,
+  getSetting,
+  setSetting,
+  getStats,
+  countHiddenOnDay,
+  pruneStats,
+  clearStats,
   verifyPIN,
   setPIN,
-} from "./indexedDBService.js";
+  updatePIN,
+  createRecoveryCodes,
+  verifyRecoveryCode,
+  resetPINWithRecoveryCode,
+  setViewerPIN,
+  removeViewerPIN,
+  isViewerPINSet,
+  addUnblockRequest,
+  getUnblockRequests,
+  approveUnblockRequest,
+  denyUnblockRequest,
+  getAuditLog,
+  unlock,
+  lock,
+} from "./dataClient.js";
+import { describeAuthor, parseChannelReference } from "./channelUtils.js";
+import {
+  AUTHOR_SORTS,
+  filterAuthors,
+  paginate,
+  sortAuthors,
+} from "./authorList.js";
+import { showError, showFieldError, showToast } from "./notifications.js";
+import {
+  exportAuthorsCSV,
+  exportAuthorsJSON,
+  parseAuthorsImport,
+  planAuthorsImport,
+} from "./importExport.js";
+import { DAY_NAMES, describeSchedule, describeTimeLeft } from "./schedule.js";
+import {
+  STATS_RETENTION_CHOICES,
+  STATS_RETENTION_SETTING,
+  oldestKeptDay,
+  summarizeStats,
+  toDayKey,
+} from "./stats.js";
+import { LOCK_TIMEOUT_CHOICES, LOCK_TIMEOUT_SETTING } from "./session.js";
+import {
+  COMMENT_HIDE_STYLE_SETTING,
+  COMMENT_HIDE_STYLES,
+  FILTER_MODE_SETTING,
+  FILTER_MODES,
+  HIDE_STYLE_SETTING,
+  HIDE_STYLES,
+  SURFACES,
+  SURFACES_SETTING,
+  isSurfaceEnabled,
+} from "./surfaces.js";
+
+/**
+ * Offers text content to the user as a file download.
+ *
+ * @param {string} fileName - The suggested file name.
+ * @param {string} content - The file content.
+ * @param {string} type - The MIME type of the content.
+ */
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Fills a `<select>` with the choices of a setting, selects the stored value and stores
+ * every new choice. The first choice is the default for a setting that was never stored.
+ *
+ * @param {string} selectId - The id of the `<select>` element.
+ * @param {string} settingId - The key of the setting.
+ * @param {Array<{id: string, label: string}>} choices - The values to choose from.
+ * @param {Function} [onChange] - Called with the new value once it has been stored.
+ */
+const bindSettingSelect = async (selectId, settingId, choices, onChange) => {
+  const select = document.getElementById(selectId);
+  choices.forEach((choice) => {
+    const option = document.createElement("option");
+    option.value = choice.id;
+    option.textContent = choice.label;
+    select.appendChild(option);
+  });
+  select.addEventListener("change", async () => {
+    try {
+      await setSetting(settingId, select.value);
+      if (onChange) {
+        await onChange(select.value);
+      }
+    } catch (error) {
+      showError(error, select);
+    }
+  });
+
+  try {
+    select.value = await getSetting(settingId, choices[0].id);
+  } catch (error) {
+    console.error(`Error fetching the "${settingId}" setting:`, error);
+  }
+};
+
+/**
+ * Asks for a confirmation, or for a line of text, right below the element it concerns
+ * instead of with `confirm()` or `prompt()`, which block the popup. A question already
+ * shown next to the same element is cancelled.
+ *
+ * @param {Element} anchor - The element the question concerns. It is shown at the end of
+ *        a list item, or else right after the element, e.g. the button that asked it.
+ * @param {string} message - The question.
+ * @param {Object} [options={}] - More options.
+ * @param {string} [options.confirmLabel="Confirm"] - The label of the confirming button.
+ * @param {string} [options.value] - Asks for a line of text, starting with this value.
+ * @returns {Promise<boolean|string|null>} Resolves with `true`, or the entered text, once
+ *          confirmed; with `false`, or `null` when text was asked for, if cancelled.
+ */
+const askInline = (anchor, message, { confirmLabel = "Confirm", value } = {}) =>
+  new Promise((resolve) => {
+    const inItem = anchor.tagName === "LI";
+    const existing = (inItem ? anchor : anchor.parentElement).querySelector(
+      ":scope > .inlineQuestion"
+    );
+    if (existing) {
+      existing.cancel();
+    }
+
+    const form = document.createElement("form");
+    form.className = "inlineQuestion";
+    const text = document.createElement("p");
+    text.textContent = message;
+    form.appendChild(text);
+    let input = null;
+    if (value !== undefined) {
+      input = document.createElement("input");
+      input.type = "text";
+      input.value = value;
+      form.appendChild(input);
+    }
+    const confirmButton = document.createElement("button");
+    confirmButton.type = "submit";
+    confirmButton.textContent = confirmLabel;
+    const cancelButton = document.createElement("button");
+    cancelButton.type = "button";
+    cancelButton.textContent = "Cancel";
+    form.append(confirmButton, cancelButton);
+
+    const close = (answer) => {
+      form.remove();
+      resolve(answer);
+    };
+    form.cancel = () => close(input ? null : false);
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      close(input ? input.value : true);
+    });
+    cancelButton.addEventListener("click", form.cancel);
+    form.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        form.cancel();
+      }
+    });
+
+    if (inItem) {
+      anchor.appendChild(form);
+    } else {
+      anchor.after(form);
+    }
+    (input || confirmButton).focus();
+  });
+
+/**
+ * Builds an inline editor for the weekly schedule of an author or a block list: the days
+ * of the week plus a daily start and end time. New schedules default to weekdays
+ * 15:00–19:00.
+ *
+ * @param {Object|null|undefined} schedule - The current schedule, if any.
+ * @param {function(Object|null): Promise<void>} onSave - Called with the new schedule, or
+ *        with `null` when the schedule is removed so the entry is blocked at all times.
+ * @returns {HTMLElement} The editor element.
+ */
+const createScheduleEditor = (schedule, onSave) => {
+  const editor = document.createElement("div");
+  editor.className = "scheduleEditor";
+
+  const days = document.createElement("div");
+  days.className = "scheduleDays";
+  const dayCheckboxes = DAY_NAMES.map((dayName, day) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = schedule
+      ? schedule.days.includes(day)
+      : day >= 1 && day <= 5;
+    label.append(checkbox, dayName);
+    days.appendChild(label);
+    return checkbox;
+  });
+  editor.appendChild(days);
+
+  const start = document.createElement("input");
+  start.type = "time";
+  start.value = schedule ? schedule.start : "15:00";
+  const end = document.createElement("input");
+  end.type = "time";
+  end.value = schedule ? schedule.end : "19:00";
+  editor.append(start, end);
+
+  createButton(
+    "Save schedule",
+    () =>
+      onSave({
+        days: dayCheckboxes
+          .map((checkbox, day) => (checkbox.checked ? day : null))
+          .filter((day) => day !== null),
+        start: start.value,
+        end: end.value,
+      }),
+    null,
+    editor
+  );
+  createButton("Block at all times", () => onSave(null), null, editor);
+
+  return editor;
+};
+
+/**
+ * Adds a ⏰ button to a list item that opens a schedule editor below the item.
+ *
+ * @param {HTMLElement} li - The list item of the author or block list.
+ * @param {Object|null|undefined} schedule - The current schedule, if any.
+ * @param {function(Object|null): Promise<void>} saveSchedule - Stores the new schedule.
+ * @param {Function} refresh - Re-renders the list once the schedule has been saved.
+ */
+const addScheduleButton = (li, schedule, saveSchedule, refresh) => {
+  createButton(
+    "⏰",
+    () => {
+      const existing = li.querySelector(".scheduleEditor");
+      if (existing) {
+        existing.remove();
+        return;
+      }
+      li.appendChild(
+        createScheduleEditor(schedule, async (newSchedule) => {
+          try {
+            await saveSchedule(newSchedule);
+            refresh();
+          } catch (error) {
+            showToast(error.message, "error");
+          }
+        })
+      );
+    },
+    null,
+    li
+  );
+};
+
+/**
+ * Replaces a view's content with newly created recovery codes. They are shown only this
+ * once, because only their hashes are stored.
+ *
+ * @param {Element} container - The view's container element.
+ * @param {Array<string>} codes - The recovery codes returned by `createRecoveryCodes`.
+ * @param {Function} onDone - Called once the user confirms having saved the codes.
+ */
+const showRecoveryCodes = (container, codes, onDone) => {
+  container.innerHTML = `
+    <h2>Recovery Codes</h2>
+    <p>Write these codes down and keep them somewhere safe. Each one can reset a forgotten PIN once. They won't be shown again.</p>
+    <ol id="recoveryCodes"></ol>
+    <button id="savedCodesButton">I've saved these codes</button>`;
+  const list = container.querySelector("#recoveryCodes");
+  codes.forEach((code) => {
+    const li = document.createElement("li");
+    li.textContent = code;
+    list.appendChild(li);
+  });
+  container
+    .querySelector("#savedCodesButton")
+    .addEventListener("click", onDone);
+};
 
 /**
  * Asynchronously submits a PIN for verification and handles the application state based on the verification result.
  *
- * This function takes a PIN as input and uses an asynchronous call to `verifyPIN` to check its validity.
- * If the PIN is valid, it calls the `stateHandler` function with "app" to change the application's state to the main app view.
- * If the PIN is not valid, it displays an alert notifying the user of the invalid PIN.
+ * This function takes a PIN as input and asks the background script to start an unlock session with it.
+ * If the PIN is valid, it calls the `stateHandler` function with "app" to change the application's state to the main app view,
+ * or with "viewer" for the restricted viewer view if the viewer PIN was entered.
+ * The session is shared with the in-page controls and lets the popup skip the login view until it times out.
+ * If the PIN is not valid, it shows an error below the PIN field, or a notification of
+ * how long the PIN is locked after too many incorrect attempts.
  *
- * @param {string} pin - The PIN entered by the user for verification.
+ * @param {HTMLInputElement} pinInput - The field the user entered the PIN in.
  * @param {Function} stateHandler - A callback function that handles the state transition of the application.
  *                                  This function should accept a single string argument representing the new state.
  * @returns {Promise<void>} A promise that resolves when the PIN has been submitted and the state has been handled accordingly.
  */
-const submitPIN = async (pin, stateHandler) => {
-  const isPINValid = await verifyPIN(pin);
-  if (isPINValid) {
-    stateHandler("app");
-  } else {
-    alert("Invalid PIN!");
+const submitPIN = async (pinInput, stateHandler) => {
+  try {
+    const { role } = await unlock(pinInput.value);
+    stateHandler(role === "viewer" ? "viewer" : "app");
+  } catch (error) {
+    showError(error, pinInput);
   }
 };
 
@@ -51,8 +357,7 @@ const submitPIN = async (pin, stateHandler) => {
 export const loginView = (changeState) => {
   // Function to handle the login process
   const handleLogin = async () => {
-    const pin = document.getElementById("pinInput").value;
-    await submitPIN(pin, changeState);
+    await submitPIN(document.getElementById("pinInput"), changeState);
   };
 
   // Function to set event listeners for the view
@@ -63,6 +368,9 @@ export const loginView = (changeState) => {
     document
       .getElementById("changePINButton")
       .addEventListener("click", () => changeState("changePIN"));
+    document
+      .getElementById("forgotPINButton")
+      .addEventListener("click", () => changeState("recoverPIN"));
   };
 
   // HTML structure of the login view
@@ -72,6 +380,7 @@ export const loginView = (changeState) => {
       <input type="text" id="pinInput" />
       <button id="loginButton">Log In</button>
       <button id="changePINButton">Change PIN</button>
+      <button id="forgotPINButton">Forgot PIN?</button>
     </div>`;
 
   // Method to return the HTML structure
@@ -87,7 +396,8 @@ export const loginView = (changeState) => {
  * This function generates a view that allows users to enter and confirm a new PIN. It validates
  * the entered PINs, ensuring they match and adhere to the specified format (6 digits). Upon
  * successful PIN confirmation, the PIN is set using an asynchronous call to `setPIN`, and the
- * user is notified of the successful operation. The view also includes logic to enable or disable
+ * user is notified of the successful operation; failures are shown below the fields or as a
+ * notification. The view also includes logic to enable or disable
  * the save button based on the validity of the input.
  *
  * @param {Function} changeState - A function used to change the current state of the application.
@@ -106,12 +416,25 @@ export const setPINView = (changeState) => {
     const pinValue = document.getElementById("pinInput").value;
     const confirmPinValue = document.getElementById("confirmPinInput").value;
 
-    if (/^\d{6}$/.test(pinValue) && pinValue === confirmPinValue) {
+    if (!/^\d{6}$/.test(pinValue) || pinValue !== confirmPinValue) {
+      showFieldError(
+        document.getElementById("confirmPinInput"),
+        "PINs do not match or do not meet the required format."
+      );
+      return;
+    }
+    try {
       await setPIN(pinValue);
-      alert("Pin added successfully!");
-      changeState("login");
-    } else {
-      alert("PINs do not match or do not meet the required format.");
+      // Recovery codes can only be created during an admin session
+      await unlock(pinValue);
+      showToast("PIN set successfully!", "success");
+      showRecoveryCodes(
+        document.getElementById("container"),
+        await createRecoveryCodes(),
+        () => changeState("login")
+      );
+    } catch (error) {
+      showError(error, document.getElementById("pinInput"));
     }
   };
 
@@ -209,16 +532,14 @@ export const changePINView = (changeState) => {
       const currentPinValue = currentPinInput.value;
       const pinValue = pinInput.value;
 
-      // Verifies the current PIN before allowing a change
-      const isCurrentPINValid = await verifyPIN(currentPinValue);
-      if (!isCurrentPINValid) {
-        alert("Invalid current PIN!");
+      // Sets the new PIN; a wrong current PIN is rejected and shown below its field
+      try {
+        await updatePIN(currentPinValue, pinValue);
+      } catch (error) {
+        showError(error, currentPinInput);
         return;
       }
-
-      // Sets the new PIN and notifies the user
-      await setPIN(pinValue);
-      alert("PIN changed successfully!");
+      showToast("PIN changed successfully!", "success");
       changeState("login");
     };
 
@@ -251,13 +572,117 @@ export const changePINView = (changeState) => {
   return { getHTML, setListeners };
 };
 
+/**
+ * Creates and returns a view component for resetting a forgotten PIN with a recovery code,
+ * with associated event listeners.
+ *
+ * The user first enters one of the recovery codes shown when the PIN was set. Once the
+ * code has been checked, the view asks for a new PIN; saving it uses up the code. Only
+ * the PIN changes, the block list and all other data are kept.
+ *
+ * @param {Function} changeState - A function used to change the current state of the application.
+ *                                  This function should accept a string argument representing
+ *                                  the new state to transition to (e.g., "login").
+ * @returns {Object} An object containing two methods: `getHTML`, which returns the HTML string
+ *                   for the recover PIN view, and `setListeners`, which sets up event listeners
+ *                   for checking the code, validating and saving the new PIN and going back.
+ */
+export const recoverPINView = (changeState) => {
+  // Function to check the recovery code and move on to choosing a new PIN
+  const handleCheckCode = async () => {
+    const codeInput = document.getElementById("recoveryCodeInput");
+    try {
+      if (!(await verifyRecoveryCode(codeInput.value))) {
+        showFieldError(codeInput, "Invalid or already used recovery code.");
+        return;
+      }
+    } catch (error) {
+      showError(error, codeInput);
+      return;
+    }
+    codeInput.disabled = true;
+    document.getElementById("checkCodeBtn").hidden = true;
+    document.getElementById("newPINForm").hidden = false;
+  };
+
+  // Function to use up the recovery code and store the new PIN
+  const handleResetPIN = async () => {
+    const code = document.getElementById("recoveryCodeInput").value;
+    const pinValue = document.getElementById("pinInput").value;
+    try {
+      const remaining = await resetPINWithRecoveryCode(code, pinValue);
+      showToast(
+        `PIN reset successfully! ${remaining} recovery code${
+          remaining === 1 ? "" : "s"
+        } left.`,
+        "success"
+      );
+      changeState("login");
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  // Function to set event listeners for the view
+  const setListeners = () => {
+    const pinInput = document.getElementById("pinInput");
+    const confirmPinInput = document.getElementById("confirmPinInput");
+    const savePinBtn = document.getElementById("savePinBtn");
+
+    // Real-time validation of the new PIN, same rules as when setting it
+    const validatePIN = () => {
+      const isValid =
+        /^\d{6}$/.test(pinInput.value) &&
+        pinInput.value === confirmPinInput.value;
+      pinInput.classList.toggle("error", !isValid);
+      confirmPinInput.classList.toggle("error", !isValid);
+      savePinBtn.disabled = !isValid;
+    };
+
+    pinInput.addEventListener("input", validatePIN);
+    confirmPinInput.addEventListener("input", validatePIN);
+    document
+      .getElementById("checkCodeBtn")
+      .addEventListener("click", handleCheckCode);
+    savePinBtn.addEventListener("click", handleResetPIN);
+    document
+      .getElementById("backButton")
+      .addEventListener("click", () => changeState("login"));
+  };
+
+  // HTML structure of the recover PIN view
+  const HTML = `
+    <div id="container">
+      <h2>Forgot PIN</h2>
+      <input type="text" id="recoveryCodeInput" placeholder="Recovery code" autocomplete="off" />
+      <button id="checkCodeBtn">Continue</button>
+      <div id="newPINForm" hidden>
+        <input type="text" id="pinInput" placeholder="Enter new PIN (6 digits)" />
+        <input type="text" id="confirmPinInput" placeholder="Confirm new PIN" />
+        <button id="savePinBtn" disabled>Save PIN</button>
+      </div>
+      <button id="backButton">Back</button>
+    </div>`;
+
+  // Method to return the HTML structure
+  const getHTML = () => HTML;
+
+  // Returning an object with methods to get HTML and set listeners
+  return { getHTML, setListeners };
+};
+
 /**
  * Creates and returns a view component for managing YouTube authors, with associated event listeners.
  *
  * This function generates a view that allows users to add new authors to a block list and display
- * the list of currently blocked authors. Users can add authors by entering the author's name and
+ * the list of currently blocked authors, organize them into named block lists that can be
+ * turned on and off, as well as manage title rules that hide videos by
+ * keyword or regular expression, and export or import the block list as JSON or CSV. Users can add authors by entering the author's name and
  * clicking the save button. Each author in the list also has an associated delete button to remove
- * them from the block list. The view handles adding and deleting authors asynchronously, updating
+ * them from the block list. The list can be searched, sorted by name or by when entries were
+ * added, and is shown a page at a time; selected entries, or all of them, can be removed at
+ * once, and every removal can be undone for a few seconds: the entries are only deleted once
+ * the notification offering it disappears. The view handles adding and deleting authors asynchronously, updating
  * the displayed list accordingly. Upon successful addition or deletion, the list of authors is
  * refreshed to reflect the changes.
  *
@@ -272,42 +697,761 @@ export const changePINView = (changeState) => {
  *                   are added or removed.
  */
 export const appView = (changeState) => {
-  // Function to refresh the list of blocked authors
-  const refreshAuthorsList = async () => {
+  // Creates the checkboxes that set which block lists an author belongs to
+  const createListChips = (author, lists) => {
+    const chips = document.createElement("span");
+    chips.className = "listChips";
+    const listIds = author.listIds || [];
+
+    lists.forEach((list) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = listIds.includes(list.id);
+      checkbox.addEventListener("change", async () => {
+        const updatedListIds = checkbox.checked
+          ? [...listIds, list.id]
+          : listIds.filter((listId) => listId !== list.id);
+        // Every entry has to stay on at least one list
+        if (!updatedListIds.length) {
+          checkbox.checked = true;
+          showToast("An entry must belong to at least one list.", "error");
+          return;
+        }
+        try {
+          await updateAuthor(author.id, { listIds: updatedListIds });
+        } catch (error) {
+          showError(error);
+        }
+        refreshAuthorsList();
+      });
+      label.append(checkbox, list.name);
+      chips.appendChild(label);
+    });
+
+    return chips;
+  };
+
+  // The search, order, page and selection of the blocked authors shown
+  const authorsView = {
+    query: "",
+    sort: AUTHOR_SORTS[0].id,
+    page: 0,
+    selectedIds: new Set(),
+    authors: [],
+    lists: [],
+  };
+
+  // The ids of the removed blocked authors, hidden while their removal can be undone
+  const removedIds = new Set();
+
+  // Function to get the blocked authors that weren't removed
+  const getShownAuthors = () =>
+    authorsView.authors.filter((author) => !removedIds.has(author.id));
+
+  // Function to show one page of the blocked authors matching the search
+  const renderAuthorsList = () => {
     const authorsList = document.getElementById("authorsList");
+    // An undo may come after another view was opened
+    if (!authorsList) {
+      return;
+    }
     authorsList.innerHTML = "";
 
+    const shownAuthors = getShownAuthors();
+    const matching = sortAuthors(
+      filterAuthors(shownAuthors, authorsView.query),
+      authorsView.sort
+    );
+    const { items, page, pageCount } = paginate(matching, authorsView.page);
+    authorsView.page = page;
+
+    items.forEach((author) => {
+      const li = document.createElement("li");
+      const select = document.createElement("input");
+      select.type = "checkbox";
+      select.className = "selectAuthor";
+      select.checked = authorsView.selectedIds.has(author.id);
+      select.setAttribute("aria-label", `Select ${describeAuthor(author)}`);
+      select.addEventListener("change", () => {
+        if (select.checked) {
+          authorsView.selectedIds.add(author.id);
+        } else {
+          authorsView.selectedIds.delete(author.id);
+        }
+        renderAuthorsSelection(matching);
+      });
+      li.appendChild(select);
+      const label = document.createElement("span");
+      label.textContent = describeAuthor(author);
+      if (author.schedule) {
+        label.textContent += ` ⏰ ${describeSchedule(author.schedule)}`;
+      }
+      if (author.expiresAt) {
+        label.textContent += ` ⌛ ${describeTimeLeft(author.expiresAt)}`;
+      }
+      li.appendChild(label);
+      // List membership only needs choosing once there is more than one list
+      if (authorsView.lists.length > 1) {
+        label.appendChild(createListChips(author, authorsView.lists));
+      }
+      addScheduleButton(
+        li,
+        author.schedule,
+        (schedule) => setAuthorSchedule(author.id, schedule),
+        refreshAuthorsList
+      );
+      createButton("🚫", () => removeAuthors([author]), null, li);
+      authorsList.appendChild(li);
+    });
+
+    document.getElementById("authorsSummary").textContent =
+      matching.length === shownAuthors.length
+        ? `${matching.length} entries`
+        : `${matching.length} of ${shownAuthors.length} entries`;
+    document.getElementById("authorsPager").hidden = pageCount === 1;
+    document.getElementById("authorsPageInfo").textContent = `Page ${
+      page + 1
+    } of ${pageCount}`;
+    document.getElementById("prevAuthorsPageButton").disabled = page === 0;
+    document.getElementById("nextAuthorsPageButton").disabled =
+      page === pageCount - 1;
+    document.getElementById("clearAuthorsButton").disabled =
+      !shownAuthors.length;
+    renderAuthorsSelection(matching);
+  };
+
+  // Function to update the bulk actions to the selected authors
+  const renderAuthorsSelection = (matching) => {
+    const selectAll = document.getElementById("selectAllAuthors");
+    const selectedCount = matching.filter((author) =>
+      authorsView.selectedIds.has(author.id)
+    ).length;
+    selectAll.checked =
+      matching.length > 0 && selectedCount === matching.length;
+    selectAll.indeterminate =
+      selectedCount > 0 && selectedCount < matching.length;
+    selectAll.disabled = !matching.length;
+
+    const removeButton = document.getElementById("removeSelectedButton");
+    removeButton.textContent = authorsView.selectedIds.size
+      ? `Remove selected (${authorsView.selectedIds.size})`
+      : "Remove selected";
+    removeButton.disabled = !authorsView.selectedIds.size;
+  };
+
+  // Function to refresh the list of blocked authors
+  const refreshAuthorsList = async () => {
     try {
-      const authors = await getAuthors();
-      authors.forEach((author) => {
+      const [authors, lists] = await Promise.all([getAuthors(), getLists()]);
+      authorsView.authors = authors;
+      authorsView.lists = lists;
+      // Forget the selection of entries that were removed
+      const ids = new Set(authors.map((author) => author.id));
+      authorsView.selectedIds.forEach((id) => {
+        if (!ids.has(id)) {
+          authorsView.selectedIds.delete(id);
+        }
+      });
+    } catch (error) {
+      console.error("Error fetching authors:", error);
+    }
+    renderAuthorsList();
+  };
+
+  // Function to remove blocked authors, offering to undo it for a few seconds. The
+  // background deletes them once that time is up, even if the popup was closed; until
+  // then they are only hidden here, so undoing it leaves the block list untouched.
+  const removeAuthors = async (authors) => {
+    if (!authors.length) {
+      return;
+    }
+    const ids = authors.map((author) => author.id);
+    let removalId;
+    try {
+      removalId = await removeAuthorsLater(ids);
+    } catch (error) {
+      showError(error);
+      return;
+    }
+    ids.forEach((id) => {
+      removedIds.add(id);
+      authorsView.selectedIds.delete(id);
+    });
+    renderAuthorsList();
+
+    const removed =
+      authors.length === 1
+        ? describeAuthor(authors[0])
+        : `${authors.length} entries`;
+    showToast(`Removed ${removed}.`, "success", {
+      action: {
+        label: "Undo",
+        onClick: async () => {
+          try {
+            await cancelAuthorsRemoval(removalId);
+            ids.forEach((id) => removedIds.delete(id));
+          } catch (error) {
+            showError(error);
+          }
+          refreshAuthorsList();
+        },
+      },
+    });
+  };
+
+  // Function to select or unselect all blocked authors matching the search
+  const handleSelectAllAuthors = (event) => {
+    filterAuthors(getShownAuthors(), authorsView.query).forEach((author) => {
+      if (event.target.checked) {
+        authorsView.selectedIds.add(author.id);
+      } else {
+        authorsView.selectedIds.delete(author.id);
+      }
+    });
+    renderAuthorsList();
+  };
+
+  // Function to remove the selected blocked authors
+  const handleRemoveSelected = () => {
+    removeAuthors(
+      authorsView.authors.filter((author) =>
+        authorsView.selectedIds.has(author.id)
+      )
+    );
+  };
+
+  // Function to remove every blocked author after a confirmation
+  const handleClearAuthors = async () => {
+    const shownAuthors = getShownAuthors();
+    if (
+      !(await askInline(
+        document.getElementById("authorsBulkActions"),
+        `Remove all ${shownAuthors.length} entries from the block list?`,
+        { confirmLabel: "Remove all" }
+      ))
+    ) {
+      return;
+    }
+    removeAuthors(shownAuthors);
+  };
+
+  // Function to refresh the block lists section and the list choice of the author form
+  const refreshLists = async () => {
+    const listsList = document.getElementById("listsList");
+    const authorList = document.getElementById("authorList");
+    listsList.innerHTML = "";
+    authorList.innerHTML = "";
+
+    try {
+      const lists = await getLists();
+      lists.forEach((list) => {
+        const option = document.createElement("option");
+        option.value = list.id;
+        option.textContent = list.name;
+        authorList.appendChild(option);
+
         const li = document.createElement("li");
-        li.textContent = author.name;
+        const label = document.createElement("label");
+        const toggle = document.createElement("input");
+        toggle.type = "checkbox";
+        toggle.checked = list.enabled;
+        toggle.title = "Apply this list";
+        toggle.addEventListener("change", async () => {
+          try {
+            await setListEnabled(list.id, toggle.checked);
+          } catch (error) {
+            // Show the list as it still is
+            toggle.checked = !toggle.checked;
+            showError(error);
+          }
+        });
+        label.append(toggle, list.name);
+        if (list.schedule) {
+          label.append(` ⏰ ${describeSchedule(list.schedule)}`);
+        }
+        li.appendChild(label);
+
+        addScheduleButton(
+          li,
+          list.schedule,
+          (schedule) => setListSchedule(list.id, schedule),
+          refreshLists
+        );
         createButton(
-          "🚫",
-          () => deleteBtnFnc(author.id, deleteAuthor, refreshAuthorsList),
+          "✏️",
+          async () => {
+            const name = await askInline(li, "Rename list", {
+              confirmLabel: "Rename",
+              value: list.name,
+            });
+            if (name === null) {
+              return;
+            }
+            try {
+              await renameList(list.id, name);
+              refreshLists();
+            } catch (error) {
+              showError(error);
+            }
+          },
           null,
           li
         );
-        authorsList.appendChild(li);
+        createButton(
+          "🗑️",
+          async () => {
+            if (
+              !(await askInline(
+                li,
+                `Delete "${list.name}"? Entries that are only on this list are deleted too.`,
+                { confirmLabel: "Delete" }
+              ))
+            ) {
+              return;
+            }
+            try {
+              await deleteList(list.id);
+              refreshLists();
+            } catch (error) {
+              showError(error);
+            }
+          },
+          null,
+          li
+        );
+        listsList.appendChild(li);
       });
     } catch (error) {
-      console.error("Error fetching authors:", error);
+      console.error("Error fetching lists:", error);
+    }
+
+    refreshAuthorsList();
+  };
+
+  // Function to handle creating a new block list
+  const handleAddList = async () => {
+    const listNameInput = document.getElementById("listName");
+    if (listNameInput.value.trim()) {
+      try {
+        await addList(listNameInput.value);
+        listNameInput.value = "";
+        refreshLists();
+      } catch (error) {
+        showError(error, listNameInput);
+      }
+    }
+  };
+
+  // Reads the expiry chosen in the author form, or `undefined` for a permanent block
+  const getChosenExpiry = () => {
+    const expiry = document.getElementById("authorExpiry").value;
+    switch (expiry) {
+      case "day":
+        return Date.now() + 24 * 60 * 60 * 1000;
+      case "week":
+        return Date.now() + 7 * 24 * 60 * 60 * 1000;
+      case "custom": {
+        const customExpiry = document.getElementById("authorExpiryDate").value;
+        if (!customExpiry) {
+          throw new Error("Choose when the block should expire.");
+        }
+        return new Date(customExpiry).getTime();
+      }
+      default:
+        return undefined;
     }
   };
 
   // Function to handle saving a new author
   const handleSaveAuthor = async () => {
-    const authorName = document.getElementById("authorName").value;
-    if (authorName) {
+    const authorNameInput = document.getElementById("authorName");
+    const authorName = authorNameInput.value;
+    const matchMode = document.getElementById("authorMatchMode").value;
+    if (!authorName.trim()) {
+      showFieldError(authorNameInput, "Enter a channel name or URL.");
+      return;
+    }
+    try {
+      // Only exact entries can be resolved to a channel ID or handle
+      const author =
+        matchMode === "exact"
+          ? parseChannelReference(authorName)
+          : { name: authorName, displayName: authorName.trim(), matchMode };
+      const listId = Number(document.getElementById("authorList").value);
+      await addAuthor({
+        ...author,
+        listIds: listId ? [listId] : undefined,
+        expiresAt: getChosenExpiry(),
+      });
+      showToast(
+        `Blocked ${author.displayName || authorName.trim()}.`,
+        "success"
+      );
+      authorNameInput.value = "";
+      refreshAuthorsList();
+    } catch (error) {
+      showError(error, authorNameInput);
+    }
+  };
+
+  // Function to refresh the list of title rules
+  const refreshTitleRulesList = async () => {
+    const titleRulesList = document.getElementById("titleRulesList");
+    titleRulesList.innerHTML = "";
+
+    try {
+      const rules = await getTitleRules();
+      rules.forEach((rule) => {
+        const li = document.createElement("li");
+        li.textContent =
+          rule.mode === "regex" ? `/${rule.pattern}/i` : rule.pattern;
+        createButton(
+          "🚫",
+          () => deleteBtnFnc(rule.id, deleteTitleRule, refreshTitleRulesList),
+          null,
+          li
+        );
+        titleRulesList.appendChild(li);
+      });
+    } catch (error) {
+      console.error("Error fetching title rules:", error);
+    }
+  };
+
+  // Function to handle saving a new title rule; invalid regexes are rejected here
+  const handleSaveTitleRule = async () => {
+    const patternInput = document.getElementById("titleRulePattern");
+    const mode = document.getElementById("titleRuleMode").value;
+    if (patternInput.value.trim()) {
       try {
-        await addAuthor(authorName);
-        console.log("Author saved:", authorName);
-        document.getElementById("authorName").value = "";
-        refreshAuthorsList();
+        await addTitleRule(patternInput.value, mode);
+        patternInput.value = "";
+        refreshTitleRulesList();
+      } catch (error) {
+        showError(error, patternInput);
+      }
+    }
+  };
+
+  // Function to refresh the toggles choosing which parts of YouTube are filtered
+  const refreshSurfacesList = async () => {
+    const surfacesList = document.getElementById("surfacesList");
+    surfacesList.innerHTML = "";
+
+    try {
+      const surfaces = await getSetting(SURFACES_SETTING, {});
+      SURFACES.forEach((surface) => {
+        const li = document.createElement("li");
+        const label = document.createElement("label");
+        const toggle = document.createElement("input");
+        toggle.type = "checkbox";
+        toggle.checked = isSurfaceEnabled(surfaces, surface.id);
+        toggle.addEventListener("change", async () => {
+          try {
+            const current = await getSetting(SURFACES_SETTING, {});
+            await setSetting(SURFACES_SETTING, {
+              ...current,
+              [surface.id]: toggle.checked,
+            });
+          } catch (error) {
+            toggle.checked = !toggle.checked;
+            showError(error);
+          }
+        });
+        label.append(toggle, surface.label);
+        li.appendChild(label);
+        surfacesList.appendChild(li);
+      });
+    } catch (error) {
+      console.error("Error fetching the surfaces setting:", error);
+    }
+  };
+
+  // Function to export the block list in the given format ("json" or "csv")
+  const handleExport = async (format) => {
+    try {
+      const authors = await getAuthors();
+      const date = new Date().toISOString().slice(0, 10);
+      if (format === "csv") {
+        downloadFile(
+          `channelguardyt-${date}.csv`,
+          exportAuthorsCSV(authors),
+          "text/csv"
+        );
+      } else {
+        downloadFile(
+          `channelguardyt-${date}.json`,
+          exportAuthorsJSON(authors, await getAuditLog()),
+          "application/json"
+        );
+      }
+    } catch (error) {
+      console.error("Error exporting authors:", error);
+      showToast(`Could not export the block list: ${error.message}`, "error");
+    }
+  };
+
+  // Entries read from the selected import file, kept until the import is confirmed
+  let importEntries = null;
+
+  // Function to show what the import would add, skip and reject, without writing anything
+  const refreshImportPreview = async () => {
+    const preview = document.getElementById("importPreview");
+    const confirmButton = document.getElementById("confirmImportButton");
+    confirmButton.disabled = true;
+    if (!importEntries) {
+      preview.textContent = "";
+      return;
+    }
+
+    const mode = document.getElementById("importMode").value;
+    const plan = planAuthorsImport(importEntries, await getAuthors(), mode);
+    const lines = [
+      `${plan.added.length} will be added, ${plan.skipped.length} skipped as duplicates, ${plan.rejected.length} rejected.`,
+      ...plan.rejected
+        .slice(0, 5)
+        .map(
+          ({ entry, reason }) =>
+            `• ${
+              (entry && (entry.name || entry.displayName)) || "?"
+            }: ${reason}`
+        ),
+    ];
+    if (mode === "replace") {
+      lines.push("The current block list will be cleared first.");
+    }
+    preview.textContent = lines.join("\n");
+    confirmButton.disabled = !plan.added.length && mode !== "replace";
+  };
+
+  // Function to read the selected import file
+  const handleImportFile = async (event) => {
+    const file = event.target.files[0];
+    importEntries = null;
+    if (file) {
+      try {
+        importEntries = parseAuthorsImport(await file.text(), file.name);
       } catch (error) {
-        console.error("Error saving the author:", error);
+        document.getElementById("importPreview").textContent = error.message;
+        document.getElementById("confirmImportButton").disabled = true;
+        return;
       }
     }
+    refreshImportPreview();
+  };
+
+  // Function to write the previewed import to the block list
+  const handleConfirmImport = async () => {
+    const mode = document.getElementById("importMode").value;
+    try {
+      // Plan again in case the list changed since the preview was shown
+      const plan = planAuthorsImport(importEntries, await getAuthors(), mode);
+      // Replacing clears the list and adds the entries at once, so a failure keeps it
+      if (mode === "replace") {
+        await replaceAuthors(plan.added);
+      } else if (plan.added.length) {
+        await addAuthors(plan.added);
+      }
+      showToast(`Imported ${plan.added.length} entries.`, "success");
+      importEntries = null;
+      document.getElementById("importFile").value = "";
+      refreshImportPreview();
+      refreshAuthorsList();
+    } catch (error) {
+      console.error("Error importing authors:", error);
+      showToast(`Could not import the block list: ${error.message}`, "error");
+    }
+  };
+
+  // Function to refresh the approved channels of the allow-list mode
+  const refreshAllowedList = async () => {
+    const allowedList = document.getElementById("allowedList");
+    allowedList.innerHTML = "";
+
+    try {
+      const allowedAuthors = await getAllowedAuthors();
+      allowedAuthors.forEach((author) => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = describeAuthor(author);
+        li.appendChild(label);
+        createButton(
+          "🚫",
+          () =>
+            deleteBtnFnc(author.id, deleteAllowedAuthor, refreshAllowedList),
+          null,
+          li
+        );
+        allowedList.appendChild(li);
+      });
+    } catch (error) {
+      console.error("Error fetching approved channels:", error);
+    }
+  };
+
+  // Function to approve the entered channel for the allow-list mode
+  const handleAddAllowed = async () => {
+    const allowedName = document.getElementById("allowedName");
+    if (!allowedName.value.trim()) {
+      showFieldError(allowedName, "Please enter a channel.");
+      return;
+    }
+    try {
+      const id = await addAllowedAuthor(
+        parseChannelReference(allowedName.value)
+      );
+      if (id === undefined) {
+        showFieldError(allowedName, "This channel is already approved.");
+        return;
+      }
+      allowedName.value = "";
+      refreshAllowedList();
+    } catch (error) {
+      showError(error, allowedName);
+    }
+  };
+
+  // Function to show which list currently applies on YouTube
+  const showFilterMode = (mode) => {
+    const isAllowMode = mode === "allow";
+    const banner = document.getElementById("filterModeBanner");
+    banner.textContent = isAllowMode
+      ? "Allow-list mode is on: YouTube only shows the approved channels. The block list is kept but not applied."
+      : "Block-list mode is on: YouTube hides the blocked channels. The approved channels are kept but not applied.";
+    banner.classList.toggle("allowMode", isAllowMode);
+    document
+      .getElementById("allowedSection")
+      .classList.toggle("inactiveSection", !isAllowMode);
+  };
+
+  // Function to refresh the pending unblock requests with buttons to decide on them
+  const refreshUnblockRequests = async () => {
+    const requestsList = document.getElementById("unblockRequestsList");
+    requestsList.innerHTML = "";
+
+    try {
+      const pending = (await getUnblockRequests()).filter(
+        (request) => request.status === "pending"
+      );
+      pending.forEach((request) => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = describeAuthor(request.channel);
+        if (request.reason) {
+          label.textContent += ` – "${request.reason}"`;
+        }
+        li.appendChild(label);
+        createButton(
+          "✅",
+          async () => {
+            try {
+              const changed = await approveUnblockRequest(request.id);
+              showToast(
+                changed
+                  ? `Unblocked ${describeAuthor(request.channel)}.`
+                  : `${describeAuthor(request.channel)} was already approved.`,
+                changed ? "success" : "info"
+              );
+              refreshUnblockRequests();
+              refreshAuthorsList();
+              refreshAllowedList();
+            } catch (error) {
+              showError(error);
+            }
+          },
+          null,
+          li
+        );
+        createButton(
+          "❌",
+          async () => {
+            try {
+              await denyUnblockRequest(request.id);
+              refreshUnblockRequests();
+            } catch (error) {
+              showError(error);
+            }
+          },
+          null,
+          li
+        );
+        requestsList.appendChild(li);
+      });
+      if (!pending.length) {
+        requestsList.textContent = "No open requests.";
+      }
+    } catch (error) {
+      console.error("Error fetching unblock requests:", error);
+    }
+  };
+
+  // Function to show whether a viewer PIN is set
+  const refreshViewerPIN = async () => {
+    const viewerPINSet = await isViewerPINSet();
+    document.getElementById("viewerPinStatus").textContent = viewerPINSet
+      ? "A viewer PIN is set. It only shows that filtering is on and lets the viewer request unblocks."
+      : "No viewer PIN is set.";
+    document.getElementById("removeViewerPinButton").disabled = !viewerPINSet;
+  };
+
+  // Function to set the viewer PIN
+  const handleSetViewerPIN = async () => {
+    const viewerPinInput = document.getElementById("viewerPinInput");
+    if (!/^\d{6}$/.test(viewerPinInput.value)) {
+      showFieldError(viewerPinInput, "The viewer PIN must be 6 digits.");
+      return;
+    }
+    try {
+      await setViewerPIN(viewerPinInput.value);
+      viewerPinInput.value = "";
+      showToast("Viewer PIN set.", "success");
+      refreshViewerPIN();
+    } catch (error) {
+      showError(error, viewerPinInput);
+    }
+  };
+
+  // Function to remove the viewer PIN after confirmation
+  const handleRemoveViewerPIN = async () => {
+    if (
+      !(await askInline(
+        document.getElementById("removeViewerPinButton"),
+        "Remove the viewer PIN? The viewer won't be able to log in.",
+        { confirmLabel: "Remove" }
+      ))
+    ) {
+      return;
+    }
+    try {
+      await removeViewerPIN();
+      showToast("Viewer PIN removed.", "success");
+      refreshViewerPIN();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  // Function to replace the recovery codes after confirmation and show the new ones
+  const handleNewRecoveryCodes = async () => {
+    if (
+      !(await askInline(
+        document.getElementById("recoveryCodesButton"),
+        "Create new recovery codes? Your current codes will stop working.",
+        { confirmLabel: "Create" }
+      ))
+    ) {
+      return;
+    }
+    try {
+      showRecoveryCodes(
+        document.getElementById("container"),
+        await createRecoveryCodes(),
+        () => changeState("app")
+      );
+    } catch (error) {
+      showError(error);
+    }
   };
 
   // Function to set event listeners for the view
@@ -315,22 +1459,603 @@ export const appView = (changeState) => {
     document
       .getElementById("saveButton")
       .addEventListener("click", handleSaveAuthor);
+    document
+      .getElementById("authorExpiry")
+      .addEventListener("change", (event) => {
+        document.getElementById("authorExpiryDate").hidden =
+          event.target.value !== "custom";
+      });
+    const authorSort = document.getElementById("authorSort");
+    AUTHOR_SORTS.forEach((sort) => {
+      const option = document.createElement("option");
+      option.value = sort.id;
+      option.textContent = sort.label;
+      authorSort.appendChild(option);
+    });
+    authorSort.addEventListener("change", () => {
+      authorsView.sort = authorSort.value;
+      authorsView.page = 0;
+      renderAuthorsList();
+    });
+    document
+      .getElementById("authorSearch")
+      .addEventListener("input", (event) => {
+        authorsView.query = event.target.value;
+        authorsView.page = 0;
+        renderAuthorsList();
+      });
+    document
+      .getElementById("prevAuthorsPageButton")
+      .addEventListener("click", () => {
+        authorsView.page -= 1;
+        renderAuthorsList();
+      });
+    document
+      .getElementById("nextAuthorsPageButton")
+      .addEventListener("click", () => {
+        authorsView.page += 1;
+        renderAuthorsList();
+      });
+    document
+      .getElementById("selectAllAuthors")
+      .addEventListener("change", handleSelectAllAuthors);
+    document
+      .getElementById("removeSelectedButton")
+      .addEventListener("click", handleRemoveSelected);
+    document
+      .getElementById("clearAuthorsButton")
+      .addEventListener("click", handleClearAuthors);
+    document
+      .getElementById("addListButton")
+      .addEventListener("click", handleAddList);
+    document
+      .getElementById("saveTitleRuleButton")
+      .addEventListener("click", handleSaveTitleRule);
 
     document
-      .getElementById("logOutButton")
-      .addEventListener("click", () => changeState("login"));
-    refreshAuthorsList();
+      .getElementById("exportJSONButton")
+      .addEventListener("click", () => handleExport("json"));
+    document
+      .getElementById("exportCSVButton")
+      .addEventListener("click", () => handleExport("csv"));
+    document
+      .getElementById("importFile")
+      .addEventListener("change", handleImportFile);
+    document
+      .getElementById("importMode")
+      .addEventListener("change", refreshImportPreview);
+    document
+      .getElementById("confirmImportButton")
+      .addEventListener("click", handleConfirmImport);
+
+    document
+      .getElementById("statsButton")
+      .addEventListener("click", () => changeState("stats"));
+    document
+      .getElementById("auditLogButton")
+      .addEventListener("click", () => changeState("auditLog"));
+    document
+      .getElementById("recoveryCodesButton")
+      .addEventListener("click", handleNewRecoveryCodes);
+    document
+      .getElementById("setViewerPinButton")
+      .addEventListener("click", handleSetViewerPIN);
+    document
+      .getElementById("removeViewerPinButton")
+      .addEventListener("click", handleRemoveViewerPIN);
+    document
+      .getElementById("lockButton")
+      .addEventListener("click", async () => {
+        await lock();
+        changeState("login");
+      });
+    document
+      .getElementById("addAllowedButton")
+      .addEventListener("click", handleAddAllowed);
+    bindSettingSelect(
+      "filterMode",
+      FILTER_MODE_SETTING,
+      FILTER_MODES,
+      showFilterMode
+    ).then(() => showFilterMode(document.getElementById("filterMode").value));
+    refreshAllowedList();
+    refreshLists();
+    refreshUnblockRequests();
+    refreshViewerPIN();
+    refreshTitleRulesList();
+    refreshSurfacesList();
+    bindSettingSelect("hideStyle", HIDE_STYLE_SETTING, HIDE_STYLES);
+    bindSettingSelect(
+      "lockTimeout",
+      LOCK_TIMEOUT_SETTING,
+      LOCK_TIMEOUT_CHOICES
+    );
+    bindSettingSelect(
+      "commentHideStyle",
+      COMMENT_HIDE_STYLE_SETTING,
+      COMMENT_HIDE_STYLES
+    );
   };
 
   // HTML structure of the app view
   const HTML = `<div id="container">
+    <select id="filterMode"></select>
+    <p id="filterModeBanner"></p>
     <h2>Block YouTube Author</h2>
     <div id="form">
-        <input type="text" id="authorName" placeholder="Enter author's name" />
+        <input type="text" id="authorName" placeholder="Name, @handle or channel URL" />
+        <select id="authorMatchMode">
+          <option value="exact">Exact name or channel</option>
+          <option value="contains">Name contains</option>
+          <option value="prefix">Name starts with</option>
+          <option value="regex">Name matches regex</option>
+        </select>
+        <select id="authorList"></select>
+        <select id="authorExpiry">
+          <option value="">Block permanently</option>
+          <option value="day">Block for 1 day</option>
+          <option value="week">Block for 1 week</option>
+          <option value="custom">Block until…</option>
+        </select>
+        <input type="datetime-local" id="authorExpiryDate" hidden />
         <button id="saveButton">Save</button>
     </div>
+    <div id="authorsToolbar">
+        <input type="search" id="authorSearch" placeholder="Search the block list" />
+        <select id="authorSort" aria-label="Sort the block list"></select>
+    </div>
+    <div id="authorsBulkActions">
+        <label><input type="checkbox" id="selectAllAuthors" /> Select all</label>
+        <span id="authorsSummary"></span>
+        <button id="removeSelectedButton" disabled>Remove selected</button>
+        <button id="clearAuthorsButton">Clear all</button>
+    </div>
     <ul id="authorsList"></ul>
-    <button id='logOutButton'>Log Out</button>
+    <div id="authorsPager" hidden>
+        <button id="prevAuthorsPageButton" aria-label="Previous page">‹</button>
+        <span id="authorsPageInfo"></span>
+        <button id="nextAuthorsPageButton" aria-label="Next page">›</button>
+    </div>
+    <h3>Block Lists</h3>
+    <ul id="listsList"></ul>
+    <div id="listForm">
+        <input type="text" id="listName" placeholder="New list name" />
+        <button id="addListButton">Add list</button>
+    </div>
+    <div id="allowedSection">
+      <h3>Approved Channels</h3>
+      <div id="allowedForm">
+          <input type="text" id="allowedName" placeholder="Name, @handle or channel URL" />
+          <button id="addAllowedButton">Approve</button>
+      </div>
+      <ul id="allowedList"></ul>
+    </div>
+    <h3>Hide Videos By Title</h3>
+    <div id="titleRuleForm">
+        <input type="text" id="titleRulePattern" placeholder="Word, phrase or pattern" />
+        <select id="titleRuleMode">
+          <option value="text">Contains text</option>
+          <option value="regex">Regular expression</option>
+        </select>
+        <button id="saveTitleRuleButton">Save</button>
+    </div>
+    <ul id="titleRulesList"></ul>
+    <h3>Where To Filter</h3>
+    <ul id="surfacesList"></ul>
+    <select id="hideStyle"></select>
+    <select id="commentHideStyle"></select>
+    <h3>Unblock Requests</h3>
+    <ul id="unblockRequestsList"></ul>
+    <h3>Viewer PIN</h3>
+    <p id="viewerPinStatus"></p>
+    <input type="text" id="viewerPinInput" placeholder="Viewer PIN (6 digits)" />
+    <button id="setViewerPinButton">Set viewer PIN</button>
+    <button id="removeViewerPinButton">Remove viewer PIN</button>
+    <h3>Import / Export</h3>
+    <button id="exportJSONButton">Export JSON</button>
+    <button id="exportCSVButton">Export CSV</button>
+    <input type="file" id="importFile" accept=".json,.csv,application/json,text/csv" />
+    <select id="importMode">
+      <option value="merge">Merge with current list</option>
+      <option value="replace">Replace current list</option>
+    </select>
+    <p id="importPreview"></p>
+    <button id="confirmImportButton" disabled>Import</button>
+    <button id="statsButton">Statistics</button>
+    <button id="auditLogButton">Change Log</button>
+    <button id="recoveryCodesButton">New recovery codes</button>
+    <select id="lockTimeout"></select>
+    <button id="lockButton">Lock now</button>
+  </div>`;
+
+  // Method to return the HTML structure
+  const getHTML = () => HTML;
+
+  // Returning an object with methods to get HTML and set listeners
+  return { getHTML, setListeners };
+};
+
+/**
+ * Creates and returns the restricted view shown after logging in with the viewer PIN.
+ *
+ * The viewer sees that filtering is on and how many videos were hidden today, but not
+ * the block list itself. Instead, the viewer can ask for a channel to be unblocked and
+ * follow what the admin decided on earlier requests.
+ *
+ * @param {Function} changeState - A function used to change the current state of the application.
+ *                                  This function should accept a string argument representing
+ *                                  the new state to transition to (e.g., "login").
+ * @returns {Object} An object containing two methods: `getHTML`, which returns the HTML string
+ *                   for the viewer view, and `setListeners`, which loads the requests and sets
+ *                   up event listeners for sending a request and locking the popup.
+ */
+export const viewerView = (changeState) => {
+  // Labels of the states of an unblock request
+  const STATUS_LABELS = {
+    pending: "⏳ Waiting",
+    approved: "✅ Unblocked",
+    denied: "❌ Denied",
+  };
+
+  // Function to show how much is filtered today and the requests, newest first
+  const refreshViewer = async () => {
+    const requestsList = document.getElementById("viewerRequestsList");
+    requestsList.innerHTML = "";
+
+    try {
+      const [hiddenToday, requests] = await Promise.all([
+        countHiddenOnDay(toDayKey()),
+        getUnblockRequests(),
+      ]);
+      document.getElementById(
+        "viewerStatus"
+      ).textContent = `ChannelGuardYT is filtering YouTube. ${hiddenToday} videos were hidden today.`;
+
+      requests.reverse().forEach((request) => {
+        const li = document.createElement("li");
+        const label = document.createElement("span");
+        label.textContent = describeAuthor(request.channel);
+        const status = document.createElement("small");
+        status.textContent = STATUS_LABELS[request.status] || request.status;
+        li.append(label, status);
+        requestsList.appendChild(li);
+      });
+      if (!requests.length) {
+        requestsList.textContent = "No requests yet.";
+      }
+    } catch (error) {
+      console.error("Error loading the viewer view:", error);
+    }
+  };
+
+  // Function to send a request to unblock the entered channel
+  const handleRequestUnblock = async () => {
+    const channelInput = document.getElementById("requestChannel");
+    const reasonInput = document.getElementById("requestReason");
+    if (!channelInput.value.trim()) {
+      showFieldError(channelInput, "Enter the channel to unblock.");
+      return;
+    }
+    try {
+      const id = await addUnblockRequest({
+        channel: parseChannelReference(channelInput.value),
+        reason: reasonInput.value,
+      });
+      if (id === undefined) {
+        showFieldError(channelInput, "This channel was already requested.");
+        return;
+      }
+      channelInput.value = "";
+      reasonInput.value = "";
+      showToast("Your request was sent.", "success");
+      refreshViewer();
+    } catch (error) {
+      showError(error, channelInput);
+    }
+  };
+
+  // Function to set event listeners for the view
+  const setListeners = () => {
+    document
+      .getElementById("requestUnblockButton")
+      .addEventListener("click", handleRequestUnblock);
+    document
+      .getElementById("lockButton")
+      .addEventListener("click", async () => {
+        await lock();
+        changeState("login");
+      });
+    refreshViewer();
+  };
+
+  // HTML structure of the viewer view
+  const HTML = `<div id="container">
+    <h2>ChannelGuardYT</h2>
+    <p id="viewerStatus"></p>
+    <h3>Request Unblock</h3>
+    <input type="text" id="requestChannel" placeholder="Name, @handle or channel URL" />
+    <input type="text" id="requestReason" placeholder="Why should it be unblocked?" />
+    <button id="requestUnblockButton">Send request</button>
+    <h3>My Requests</h3>
+    <ul id="viewerRequestsList"></ul>
+    <button id="lockButton">Lock now</button>
+  </div>`;
+
+  // Method to return the HTML structure
+  const getHTML = () => HTML;
+
+  // Returning an object with methods to get HTML and set listeners
+  return { getHTML, setListeners };
+};
+
+/**
+ * Creates and returns a view component showing how much the extension filters.
+ *
+ * The view shows the number of hidden videos today, in the last 7 days and in total,
+ * a daily trend of the last 14 days as a bar chart, the most filtered channels and the
+ * counts per surface. Users can choose how long statistics are kept and reset them.
+ *
+ * @param {Function} changeState - A function used to change the current state of the application.
+ *                                  This function should accept a string argument representing
+ *                                  the new state to transition to (e.g., "app").
+ * @returns {Object} An object containing two methods: `getHTML`, which returns the HTML string
+ *                   for the statistics view, and `setListeners`, which loads the statistics
+ *                   and sets up event listeners for the retention choice, resetting the
+ *                   statistics and going back to the app view.
+ */
+export const statsView = (changeState) => {
+  // Function to fill a list with one "label: count" item per entry
+  const fillCountList = (listId, entries) => {
+    const list = document.getElementById(listId);
+    list.innerHTML = "";
+    entries.forEach(({ label, count }) => {
+      const li = document.createElement("li");
+      const name = document.createElement("span");
+      name.textContent = label;
+      const value = document.createElement("strong");
+      value.textContent = count;
+      li.append(name, value);
+      list.appendChild(li);
+    });
+  };
+
+  // Function to load the statistics and render every section of the view
+  const refreshStats = async () => {
+    try {
+      const summary = summarizeStats(await getStats());
+
+      fillCountList("statsTotals", [
+        { label: "Today", count: summary.today },
+        { label: "Last 7 days", count: summary.lastWeek },
+        { label: "Total", count: summary.total },
+      ]);
+      fillCountList(
+        "statsChannels",
+        summary.channels
+          .slice(0, 10)
+          .map(({ name, count }) => ({ label: name, count }))
+      );
+      fillCountList(
+        "statsSurfaces",
+        summary.surfaces.map(({ surface, count }) => {
+          const known = SURFACES.find((entry) => entry.id === surface);
+          return { label: known ? known.label : surface, count };
+        })
+      );
+
+      const trend = document.getElementById("statsTrend");
+      trend.innerHTML = "";
+      const highest = Math.max(1, ...summary.daily.map(({ count }) => count));
+      summary.daily.forEach(({ day, count }) => {
+        const bar = document.createElement("div");
+        bar.className = "statsBar";
+        bar.style.height = `${(count / highest) * 100}%`;
+        bar.title = `${day}: ${count}`;
+        trend.appendChild(bar);
+      });
+    } catch (error) {
+      console.error("Error fetching statistics:", error);
+    }
+  };
+
+  // Function to reset the statistics after confirmation
+  const handleResetStats = async () => {
+    if (
+      !(await askInline(
+        document.getElementById("resetStatsButton"),
+        "Reset all statistics?",
+        { confirmLabel: "Reset" }
+      ))
+    ) {
+      return;
+    }
+    try {
+      await clearStats();
+      refreshStats();
+    } catch (error) {
+      showError(error);
+    }
+  };
+
+  // Function to set event listeners for the view
+  const setListeners = () => {
+    bindSettingSelect(
+      "statsRetention",
+      STATS_RETENTION_SETTING,
+      STATS_RETENTION_CHOICES,
+      async (retentionDays) => {
+        await pruneStats(oldestKeptDay(Number(retentionDays)));
+        refreshStats();
+      }
+    );
+    document
+      .getElementById("resetStatsButton")
+      .addEventListener("click", handleResetStats);
+    document
+      .getElementById("backButton")
+      .addEventListener("click", () => changeState("app"));
+    refreshStats();
+  };
+
+  // HTML structure of the statistics view
+  const HTML = `<div id="container">
+    <h2>Statistics</h2>
+    <ul id="statsTotals"></ul>
+    <h3>Hidden Videos Per Day</h3>
+    <div id="statsTrend"></div>
+    <h3>Most Filtered Channels</h3>
+    <ul id="statsChannels"></ul>
+    <h3>Where They Were Hidden</h3>
+    <ul id="statsSurfaces"></ul>
+    <select id="statsRetention"></select>
+    <button id="resetStatsButton">Reset statistics</button>
+    <button id="backButton">Back</button>
+  </div>`;
+
+  // Method to return the HTML structure
+  const getHTML = () => HTML;
+
+  // Returning an object with methods to get HTML and set listeners
+  return { getHTML, setListeners };
+};
+
+/**
+ * The names the audit log view uses for the fields of an edited author.
+ */
+const AUTHOR_FIELD_LABELS = {
+  listIds: "lists",
+  schedule: "schedule",
+  channelId: "channel ID",
+  handle: "@handle",
+};
+
+/**
+ * Describes an audit log entry's affected entry for the log view.
+ *
+ * @param {Object} logEntry - The audit log entry.
+ * @returns {string} The description, e.g. "Remove author: Some Channel (@handle)".
+ */
+const describeAuditLogEntry = (logEntry) => {
+  switch (logEntry.action) {
+    case "addAuthor":
+      return `Block author: ${describeAuthor(logEntry.entry)}`;
+    case "deleteAuthor":
+      return `Remove author: ${describeAuthor(logEntry.entry)}`;
+    case "updateAuthor": {
+      const fields = (logEntry.entry.changed || [])
+        .map((field) => AUTHOR_FIELD_LABELS[field] || field)
+        .join(", ");
+      return `Edit author: ${describeAuthor(logEntry.entry)} (${fields})`;
+    }
+    case "allowAuthor":
+      return `Approve channel: ${describeAuthor(logEntry.entry)}`;
+    case "disallowAuthor":
+      return `Remove approved channel: ${describeAuthor(logEntry.entry)}`;
+    case "clearAuthors":
+      return `Clear block list (${logEntry.entry.count} authors)`;
+    case "setPIN":
+      return "Set PIN";
+    case "updatePIN":
+      return "Change PIN";
+    case "createRecoveryCodes":
+      return "Create recovery codes";
+    case "resetPIN":
+      return "Reset PIN with a recovery code";
+    case "setViewerPIN":
+      return "Set viewer PIN";
+    case "removeViewerPIN":
+      return "Remove viewer PIN";
+    default:
+      return logEntry.action;
+  }
+};
+
+/**
+ * Creates and returns a view component showing the audit log of changes to the block
+ * list and PIN, with associated event listeners.
+ *
+ * The log is only shown after the PIN has been entered again, so it cannot be read on a
+ * popup someone left unlocked. Entries are listed newest first with their time, the
+ * change and where it was made (the popup, the in-page controls or an expiring block).
+ *
+ * @param {Function} changeState - A function used to change the current state of the application.
+ *                                  This function should accept a string argument representing
+ *                                  the new state to transition to (e.g., "app").
+ * @returns {Object} An object containing two methods: `getHTML`, which returns the HTML string
+ *                   for the audit log view, and `setListeners`, which sets up event listeners
+ *                   for unlocking the log and going back to the app view.
+ */
+export const auditLogView = (changeState) => {
+  // Labels of the places a change can be made from
+  const SOURCE_LABELS = {
+    popup: "Popup",
+    "in-page": "On YouTube",
+    expiry: "Expired",
+  };
+
+  // Function to render the log entries, newest first
+  const renderAuditLog = async () => {
+    const auditLogList = document.getElementById("auditLogList");
+    auditLogList.innerHTML = "";
+
+    try {
+      const entries = await getAuditLog();
+      entries.reverse().forEach((logEntry) => {
+        const li = document.createElement("li");
+        const description = document.createElement("span");
+        description.textContent = describeAuditLogEntry(logEntry);
+        const details = document.createElement("small");
+        details.textContent = `${new Date(
+          logEntry.timestamp
+        ).toLocaleString()} · ${
+          SOURCE_LABELS[logEntry.source] || logEntry.source
+        }`;
+        li.append(description, details);
+        auditLogList.appendChild(li);
+      });
+      if (!entries.length) {
+        auditLogList.textContent = "No changes recorded yet.";
+      }
+    } catch (error) {
+      console.error("Error fetching the audit log:", error);
+    }
+  };
+
+  // Function to show the log once the PIN has been entered
+  const handleUnlock = async () => {
+    const pinInput = document.getElementById("auditLogPinInput");
+    try {
+      if (!(await verifyPIN(pinInput.value))) {
+        showFieldError(pinInput, "Invalid PIN!");
+        return;
+      }
+    } catch (error) {
+      showError(error, pinInput);
+      return;
+    }
+    document.getElementById("auditLogUnlock").hidden = true;
+    renderAuditLog();
+  };
+
+  // Function to set event listeners for the view
+  const setListeners = () => {
+    document
+      .getElementById("auditLogUnlockButton")
+      .addEventListener("click", handleUnlock);
+    document
+      .getElementById("backButton")
+      .addEventListener("click", () => changeState("app"));
+  };
+
+  // HTML structure of the audit log view
+  const HTML = `<div id="container">
+    <h2>Change Log</h2>
+    <div id="auditLogUnlock">
+      <input type="password" id="auditLogPinInput" placeholder="Enter PIN to view the log" />
+      <button id="auditLogUnlockButton">Show log</button>
+    </div>
+    <ul id="auditLogList"></ul>
+    <button id="backButton">Back</button>
   </div>`;
 
   // Method to return the HTML structure
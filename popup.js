@@ -2,9 +2,11 @@
  * Initializes the application by determining the initial view based on whether a PIN is set.
  *
  * Upon loading the DOM, this script checks if a PIN has already been set using the `isPINSet`
- * function from the indexedDBService module. Depending on the result, it sets the initial state
+ * request of the data client, which asks the background script. Depending on the result, it sets the initial state
  * of the application to either prompt the user to log in (if a PIN is set) or to set a new PIN
- * (if a PIN is not set). The application's state can be changed dynamically using the `changeState`
+ * (if a PIN is not set). While the background script holds an unlock session, the login is
+ * skipped; views behind the PIN go back to the login as soon as the session has ended. The viewer
+ * PIN only unlocks the restricted viewer view, the admin PIN everything else. The application's state can be changed dynamically using the `changeState`
  * function, which updates the state and re-renders the appropriate view.
  *
  * The `render` function manages the display of the current view based on the application's state,
@@ -12,21 +14,67 @@
  * event listeners for that view. This modular approach allows for easy expansion and maintenance
  * of the application's views and interactions.
  *
- * @imports loginView, appView, setPINView, changePINView from "./modules/views.js" to handle different application views.
- * @imports isPINSet from "./modules/indexedDBService.js" to check for an existing PIN in the IndexedDB.
+ * @imports loginView, appView, setPINView, changePINView, recoverPINView, statsView, auditLogView, viewerView from "./modules/views.js" to handle different application views.
+ * @imports isPINSet and getSession from "./modules/dataClient.js" to check for an existing PIN and
+ *          to check and extend the unlock session, both held by the background script.
+ * @imports showToast from "./modules/notifications.js" to report a failure to read the settings.
  */
 import {
   loginView,
   appView,
   setPINView,
   changePINView,
+  recoverPINView,
+  statsView,
+  auditLogView,
+  viewerView,
 } from "./modules/views.js";
-import { isPINSet } from "./modules/indexedDBService.js";
+import { getSession, isPINSet } from "./modules/dataClient.js";
+import { showToast } from "./modules/notifications.js";
+
+/**
+ * The views that are only shown during an unlock session, with the roles allowed to see them.
+ */
+const PROTECTED_STATES = {
+  app: ["admin"],
+  stats: ["admin"],
+  auditLog: ["admin"],
+  viewer: ["admin", "viewer"],
+};
+
+/**
+ * Asks the background script which role unlocked the session, if any. The check counts as
+ * activity, so it also keeps the session from timing out while the popup is used.
+ *
+ * @returns {Promise<string|null>} A promise that resolves to "admin" or "viewer" while the
+ *          session is active, otherwise `null`.
+ */
+const getSessionRole = async () => {
+  try {
+    const session = await getSession();
+    return session.unlocked ? session.role : null;
+  } catch (error) {
+    return null;
+  }
+};
 
 document.addEventListener("DOMContentLoaded", async () => {
-  // Check if a PIN is set to determine the initial application state
-  const pinSet = await isPINSet();
-  let state = pinSet ? "login" : "setPIN";
+  // Check if a PIN is set to determine the initial application state. If that fails,
+  // ask for the PIN rather than offering to set a new one.
+  let pinSet = true;
+  try {
+    pinSet = await isPINSet();
+  } catch (error) {
+    showToast(`Could not read the settings: ${error.message}`, "error");
+  }
+  const role = pinSet ? await getSessionRole() : null;
+  let state = !pinSet
+    ? "setPIN"
+    : role === "admin"
+    ? "app"
+    : role === "viewer"
+    ? "viewer"
+    : "login";
 
   /**
    * Changes the current state of the application and re-renders the view.
@@ -60,9 +108,21 @@ document.addEventListener("DOMContentLoaded", async () => {
       case "changePIN":
         view = changePINView(changeState);
         break;
+      case "recoverPIN":
+        view = recoverPINView(changeState);
+        break;
       case "app":
         view = appView(changeState);
         break;
+      case "stats":
+        view = statsView(changeState);
+        break;
+      case "auditLog":
+        view = auditLogView(changeState);
+        break;
+      case "viewer":
+        view = viewerView(changeState);
+        break;
       default:
         changeState("login"); // Handle invalid state
         return;
@@ -73,5 +133,15 @@ document.addEventListener("DOMContentLoaded", async () => {
     view.setListeners();
   };
 
+  // Every click is activity; once the session has timed out, lock the popup as well
+  document.addEventListener("click", async () => {
+    if (
+      PROTECTED_STATES[state] &&
+      !PROTECTED_STATES[state].includes(await getSessionRole())
+    ) {
+      changeState("login");
+    }
+  });
+
   render(); // Initial rendering of the application view
 });